@@ -0,0 +1,217 @@
+import { json } from "@remix-run/node";
+import { useFetcher, useLoaderData } from "@remix-run/react";
+import { useEffect, useState } from "react";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  InlineStack,
+  FormLayout,
+  TextField,
+  Checkbox,
+  Button,
+  Banner,
+  Badge,
+  Text,
+} from "@shopify/polaris";
+import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import {
+  approveWholesaleApplication,
+  getWholesaleApplication,
+  rejectWholesaleApplication,
+} from "../services/wholesaleApplications.server";
+
+const STATUS_TONES = { pending: "attention", approved: "success", rejected: "critical" };
+
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+
+  try {
+    const application = await getWholesaleApplication(session.shop, params.id);
+    return json({ application, shop: session.shop });
+  } catch (error) {
+    throw new Response(error.message, { status: error.status || 500 });
+  }
+};
+
+export const action = async ({ request, params }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+  const reviewNote = formData.get("reviewNote");
+
+  try {
+    const application =
+      intent === "approve"
+        ? await approveWholesaleApplication(admin, session.shop, params.id, {
+            createCompany: formData.get("createCompany") === "true",
+            reviewNote,
+          })
+        : await rejectWholesaleApplication(session.shop, params.id, { reviewNote });
+
+    return json({ success: true, application });
+  } catch (error) {
+    console.error(`❌ Error trying to ${intent} wholesale application:`, error);
+    return json({ success: false, error: error.message }, { status: error.status || 500 });
+  }
+};
+
+function Detail({ label, value }) {
+  return (
+    <BlockStack gap="100">
+      <Text as="span" variant="bodySm" tone="subdued">
+        {label}
+      </Text>
+      <Text as="span">{value || "—"}</Text>
+    </BlockStack>
+  );
+}
+
+export default function ApplicationDetail() {
+  const { application: loadedApplication, shop } = useLoaderData();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+  const [createCompany, setCreateCompany] = useState(true);
+  const [reviewNote, setReviewNote] = useState("");
+
+  const application = fetcher.data?.application || loadedApplication;
+  const isPending = application.status === "pending";
+  const isSubmitting = fetcher.state !== "idle";
+  const storeAdmin = `https://admin.shopify.com/store/${shop.replace(".myshopify.com", "")}`;
+
+  useEffect(() => {
+    if (fetcher.data?.success) {
+      shopify.toast.show(`Application ${fetcher.data.application.status}`);
+    }
+  }, [fetcher.data, shopify]);
+
+  const review = (intent) => {
+    fetcher.submit(
+      { intent, reviewNote, createCompany: String(createCompany) },
+      { method: "post" }
+    );
+  };
+
+  return (
+    <Page
+      backAction={{ content: "Wholesale applications", url: "/app/applications" }}
+      title={application.companyName}
+      titleMetadata={<Badge tone={STATUS_TONES[application.status]}>{application.status}</Badge>}
+    >
+      <TitleBar title="Wholesale application" />
+      <Layout>
+        {fetcher.data?.error && (
+          <Layout.Section>
+            <Banner tone="critical" title="The application could not be updated">
+              <p>{fetcher.data.error}</p>
+            </Banner>
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <BlockStack gap="400">
+            <Card>
+              <BlockStack gap="400">
+                <Text as="h2" variant="headingMd">
+                  Company
+                </Text>
+                <InlineStack gap="800" wrap>
+                  <Detail label="Company name" value={application.companyName} />
+                  <Detail label="Tax ID" value={application.taxId} />
+                </InlineStack>
+                <Detail
+                  label="Address"
+                  value={[
+                    application.address1,
+                    application.address2,
+                    application.city,
+                    application.province,
+                    application.zip,
+                    application.countryCode,
+                  ]
+                    .filter(Boolean)
+                    .join(", ")}
+                />
+              </BlockStack>
+            </Card>
+            <Card>
+              <BlockStack gap="400">
+                <Text as="h2" variant="headingMd">
+                  Contact
+                </Text>
+                <InlineStack gap="800" wrap>
+                  <Detail label="Name" value={`${application.firstName} ${application.lastName}`} />
+                  <Detail label="Email" value={application.email} />
+                  <Detail label="Phone" value={application.phone} />
+                  {isPending && (
+                    <Detail
+                      label="Submitted"
+                      value={application.customerId ? "While logged in" : "As a guest (email not verified)"}
+                    />
+                  )}
+                </InlineStack>
+                <Detail label="About the business" value={application.message} />
+              </BlockStack>
+            </Card>
+          </BlockStack>
+        </Layout.Section>
+
+        <Layout.Section variant="oneThird">
+          <Card>
+            {isPending ? (
+              <FormLayout>
+                <Text as="h2" variant="headingMd">
+                  Review
+                </Text>
+                <Checkbox
+                  label="Create a B2B company"
+                  helpText="Sets up the company with this address and makes the applicant its main contact."
+                  checked={createCompany}
+                  onChange={setCreateCompany}
+                />
+                <TextField
+                  label="Internal note"
+                  value={reviewNote}
+                  onChange={setReviewNote}
+                  multiline={3}
+                  autoComplete="off"
+                />
+                <InlineStack gap="200" align="end">
+                  <Button tone="critical" onClick={() => review("reject")} disabled={isSubmitting}>
+                    Reject
+                  </Button>
+                  <Button variant="primary" onClick={() => review("approve")} loading={isSubmitting}>
+                    Approve
+                  </Button>
+                </InlineStack>
+              </FormLayout>
+            ) : (
+              <BlockStack gap="300">
+                <Text as="h2" variant="headingMd">
+                  Review
+                </Text>
+                <Detail
+                  label={`${application.status === "approved" ? "Approved" : "Rejected"} on`}
+                  value={application.reviewedAt && new Date(application.reviewedAt).toLocaleString()}
+                />
+                <Detail label="Internal note" value={application.reviewNote} />
+                {application.customerId && (
+                  <Button url={`${storeAdmin}/customers/${application.customerId}`} target="_blank">
+                    View customer
+                  </Button>
+                )}
+                {application.companyId && (
+                  <Button url={`${storeAdmin}/companies/${application.companyId}`} target="_blank">
+                    View company
+                  </Button>
+                )}
+              </BlockStack>
+            )}
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
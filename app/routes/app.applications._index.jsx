@@ -0,0 +1,104 @@
+import { json } from "@remix-run/node";
+import { useLoaderData, useNavigate, useSearchParams } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Card,
+  Tabs,
+  IndexTable,
+  Badge,
+  Text,
+  EmptyState,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { listWholesaleApplications } from "../services/wholesaleApplications.server";
+
+// Mirrors APPLICATION_STATUSES in the service, which can't be imported into client code
+const APPLICATION_STATUSES = ["pending", "approved", "rejected"];
+const STATUS_TONES = { pending: "attention", approved: "success", rejected: "critical" };
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+  const status = APPLICATION_STATUSES.includes(url.searchParams.get("status"))
+    ? url.searchParams.get("status")
+    : "pending";
+
+  const applications = await listWholesaleApplications(session.shop, { status });
+  return json({ status, applications });
+};
+
+export default function Applications() {
+  const { status, applications } = useLoaderData();
+  const [, setSearchParams] = useSearchParams();
+  const navigate = useNavigate();
+
+  const tabs = APPLICATION_STATUSES.map((value) => ({
+    id: value,
+    content: value.charAt(0).toUpperCase() + value.slice(1),
+  }));
+
+  const rows = applications.map((application, index) => (
+    <IndexTable.Row
+      id={application.id}
+      key={application.id}
+      position={index}
+      onClick={() => navigate(`/app/applications/${application.id}`)}
+    >
+      <IndexTable.Cell>
+        <Text as="span" variant="bodyMd" fontWeight="semibold">
+          {application.companyName}
+        </Text>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        {application.firstName} {application.lastName}
+      </IndexTable.Cell>
+      <IndexTable.Cell>{application.email}</IndexTable.Cell>
+      <IndexTable.Cell>
+        {[application.city, application.countryCode].filter(Boolean).join(", ")}
+      </IndexTable.Cell>
+      <IndexTable.Cell>{new Date(application.createdAt).toLocaleDateString()}</IndexTable.Cell>
+      <IndexTable.Cell>
+        <Badge tone={STATUS_TONES[application.status]}>{application.status}</Badge>
+      </IndexTable.Cell>
+    </IndexTable.Row>
+  ));
+
+  return (
+    <Page>
+      <TitleBar title="Wholesale applications" />
+      <Layout>
+        <Layout.Section>
+          <Card padding="0">
+            <Tabs
+              tabs={tabs}
+              selected={APPLICATION_STATUSES.indexOf(status)}
+              onSelect={(index) => setSearchParams({ status: APPLICATION_STATUSES[index] })}
+            />
+            <IndexTable
+              resourceName={{ singular: "application", plural: "applications" }}
+              itemCount={applications.length}
+              selectable={false}
+              emptyState={
+                <EmptyState heading={`No ${status} applications`} image="">
+                  <p>Applications submitted from the quick order page appear here.</p>
+                </EmptyState>
+              }
+              headings={[
+                { title: "Company" },
+                { title: "Contact" },
+                { title: "Email" },
+                { title: "Location" },
+                { title: "Submitted" },
+                { title: "Status" },
+              ]}
+            >
+              {rows}
+            </IndexTable>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
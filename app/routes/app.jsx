@@ -27,10 +27,11 @@ export default function App() {
         <Link to="/app" rel="home">
           Home
         </Link>
+        <Link to="/app/applications">Wholesale applications</Link>
+        <Link to="/app/settings">Settings</Link>
         {/* <Link to="/app/outbound-message">OutBound Message Queue</Link>
         <Link to="/app/inbound-message">InBound Message Queue</Link>
-        <Link to="/app/online-store">Online Store</Link>
-        <Link to="/app/settings">Account & Settings</Link> */}
+        <Link to="/app/online-store">Online Store</Link> */}
       </NavMenu>
       <Outlet />
     </AppProvider>
@@ -13,6 +13,30 @@ export const loader = async ({ request }) => {
       type: "json",
       ownerType: "CUSTOMER",
     },
+    {
+      name: "Quick Order Saved Lists",
+      namespace: "quick_order",
+      key: "saved_lists",
+      description: "Named order lists (variant quantities) the customer can load into the quick order page",
+      type: "json",
+      ownerType: "CUSTOMER",
+    },
+    {
+      name: "Quick Order Price Tiers",
+      namespace: "quick_order",
+      key: "price_tiers",
+      description: 'Indicative volume price breaks shown in the quick order table (checkout charges the regular price), e.g. [{"min_quantity": 10, "price": "9.50"}]',
+      type: "json",
+      ownerType: "PRODUCTVARIANT",
+    },
+    {
+      name: "Quick Order Quantity Rule",
+      namespace: "quick_order",
+      key: "quantity_rule",
+      description: 'Minimum, maximum and increment for quick order quantities, e.g. {"min": 24, "increment": 12, "max": 240}',
+      type: "json",
+      ownerType: "PRODUCTVARIANT",
+    },
   ];
 
   try {
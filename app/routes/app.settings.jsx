@@ -0,0 +1,344 @@
+import { json } from "@remix-run/node";
+import { useFetcher, useLoaderData } from "@remix-run/react";
+import { useEffect, useState } from "react";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  FormLayout,
+  TextField,
+  Checkbox,
+  ChoiceList,
+  Select,
+  Button,
+  Banner,
+  Text,
+} from "@shopify/polaris";
+import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import {
+  getQuickOrderSettings,
+  saveQuickOrderSettings,
+} from "../services/quickOrderSettings.server";
+
+export const loader = async ({ request }) => {
+  const { admin } = await authenticate.admin(request);
+  const { settings } = await getQuickOrderSettings(admin);
+
+  return json({ settings });
+};
+
+export const action = async ({ request }) => {
+  const { admin } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  try {
+    const { appInstallationId } = await getQuickOrderSettings(admin);
+    const settings = await saveQuickOrderSettings(admin, appInstallationId, {
+      title: formData.get("title"),
+      productsPerPage: formData.get("productsPerPage"),
+      columns: {
+        status: formData.get("showStatus"),
+        price: formData.get("showPrice"),
+        subtotal: formData.get("showSubtotal"),
+      },
+      redirectGuestsToLogin: formData.get("redirectGuestsToLogin"),
+      guestCarts: {
+        enabled: formData.get("guestCartsEnabled"),
+        mergeStrategy: formData.get("guestCartsMergeStrategy"),
+      },
+      mirrorCartToMetafield: formData.get("mirrorCartToMetafield"),
+      offlineCatalog: formData.get("offlineCatalog"),
+      sharedCompanyCarts: formData.get("sharedCompanyCarts"),
+      access: {
+        mode: formData.get("accessMode"),
+        customerTags: formData.get("accessCustomerTags"),
+        allowB2B: formData.get("accessAllowB2B"),
+        allowedEmails: formData.get("accessAllowedEmails"),
+        deniedMessage: formData.get("accessDeniedMessage"),
+        showRequestForm: formData.get("accessShowRequestForm"),
+      },
+    });
+
+    return json({ success: true, settings });
+  } catch (error) {
+    console.error("❌ Error saving quick order settings:", error);
+    return json({ success: false, error: error.message }, { status: 500 });
+  }
+};
+
+// Same values as GUEST_MERGE_STRATEGIES in quickOrderSettings.server.js
+const GUEST_MERGE_OPTIONS = [
+  { label: "Add the quantities together", value: "sum" },
+  { label: "Keep the larger quantity", value: "max" },
+  { label: "Replace the saved cart with the guest's items", value: "replace" },
+  { label: "Ask the buyer", value: "ask" },
+];
+
+// Tags and emails are stored as lists but edited as text
+const toFormState = (settings) => ({
+  ...settings,
+  access: {
+    ...settings.access,
+    customerTags: settings.access.customerTags.join(", "),
+    allowedEmails: settings.access.allowedEmails.join("\n"),
+  },
+});
+
+export default function Settings() {
+  const { settings: savedSettings } = useLoaderData();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+  const [settings, setSettings] = useState(() => toFormState(savedSettings));
+
+  const isSaving = fetcher.state !== "idle";
+  const isDirty =
+    JSON.stringify(settings) !== JSON.stringify(toFormState(fetcher.data?.settings || savedSettings));
+
+  useEffect(() => {
+    if (fetcher.data?.success) {
+      setSettings(toFormState(fetcher.data.settings));
+      shopify.toast.show("Settings saved");
+    }
+  }, [fetcher.data, shopify]);
+
+  const updateSetting = (key, value) => setSettings((current) => ({ ...current, [key]: value }));
+  const updateColumn = (column, value) =>
+    setSettings((current) => ({ ...current, columns: { ...current.columns, [column]: value } }));
+  const updateAccess = (key, value) =>
+    setSettings((current) => ({ ...current, access: { ...current.access, [key]: value } }));
+  const updateGuestCarts = (key, value) =>
+    setSettings((current) => ({ ...current, guestCarts: { ...current.guestCarts, [key]: value } }));
+
+  const handleSave = () => {
+    fetcher.submit(
+      {
+        title: settings.title,
+        productsPerPage: String(settings.productsPerPage),
+        showStatus: String(settings.columns.status),
+        showPrice: String(settings.columns.price),
+        showSubtotal: String(settings.columns.subtotal),
+        redirectGuestsToLogin: String(settings.redirectGuestsToLogin),
+        guestCartsEnabled: String(settings.guestCarts.enabled),
+        guestCartsMergeStrategy: settings.guestCarts.mergeStrategy,
+        mirrorCartToMetafield: String(settings.mirrorCartToMetafield),
+        offlineCatalog: String(settings.offlineCatalog),
+        sharedCompanyCarts: String(settings.sharedCompanyCarts),
+        accessMode: settings.access.mode,
+        accessCustomerTags: settings.access.customerTags,
+        accessAllowB2B: String(settings.access.allowB2B),
+        accessAllowedEmails: settings.access.allowedEmails,
+        accessDeniedMessage: settings.access.deniedMessage,
+        accessShowRequestForm: String(settings.access.showRequestForm),
+      },
+      { method: "post" }
+    );
+  };
+
+  return (
+    <Page>
+      <TitleBar title="Settings" />
+      <Layout>
+        {fetcher.data?.error && (
+          <Layout.Section>
+            <Banner tone="critical" title="Settings could not be saved">
+              <p>{fetcher.data.error}</p>
+            </Banner>
+          </Layout.Section>
+        )}
+
+        <Layout.AnnotatedSection
+          title="Quick order page"
+          description="How the quick order page looks on your storefront."
+        >
+          <Card>
+            <FormLayout>
+              <TextField
+                label="Page title"
+                value={settings.title}
+                onChange={(value) => updateSetting("title", value)}
+                maxLength={100}
+                autoComplete="off"
+              />
+              <TextField
+                label="Products per page"
+                type="number"
+                value={String(settings.productsPerPage)}
+                onChange={(value) => updateSetting("productsPerPage", value)}
+                min={5}
+                max={50}
+                helpText="Between 5 and 50 products are shown on each page of the quick order table."
+                autoComplete="off"
+              />
+            </FormLayout>
+          </Card>
+        </Layout.AnnotatedSection>
+
+        <Layout.AnnotatedSection
+          title="Columns"
+          description="Product and quantity columns are always shown."
+        >
+          <Card>
+            <BlockStack gap="200">
+              <Checkbox
+                label="Stock status"
+                checked={settings.columns.status}
+                onChange={(value) => updateColumn("status", value)}
+              />
+              <Checkbox
+                label="Price"
+                checked={settings.columns.price}
+                onChange={(value) => updateColumn("price", value)}
+              />
+              <Checkbox
+                label="Subtotal"
+                checked={settings.columns.subtotal}
+                onChange={(value) => updateColumn("subtotal", value)}
+              />
+            </BlockStack>
+          </Card>
+        </Layout.AnnotatedSection>
+
+        <Layout.AnnotatedSection
+          title="Guests"
+          description="Whether guests can use the quick order page before logging in."
+        >
+          <Card>
+            <BlockStack gap="300">
+              <Checkbox
+                label="Let guests build a quick order"
+                helpText="Guests' quantities are kept in their browser until they log in. Only available while access is open to all customers."
+                checked={settings.guestCarts.enabled}
+                disabled={settings.access.mode === "restricted"}
+                onChange={(value) => updateGuestCarts("enabled", value)}
+              />
+              <Select
+                label="When a guest logs in"
+                options={GUEST_MERGE_OPTIONS}
+                value={settings.guestCarts.mergeStrategy}
+                disabled={!settings.guestCarts.enabled || settings.access.mode === "restricted"}
+                onChange={(value) => updateGuestCarts("mergeStrategy", value)}
+                helpText="How the guest's items are combined with the cart saved to their account."
+              />
+              <Checkbox
+                label="Redirect guests to the login page"
+                helpText="When off, guests see a prompt asking them to log in."
+                checked={settings.redirectGuestsToLogin}
+                disabled={settings.guestCarts.enabled && settings.access.mode !== "restricted"}
+                onChange={(value) => updateSetting("redirectGuestsToLogin", value)}
+              />
+            </BlockStack>
+          </Card>
+        </Layout.AnnotatedSection>
+
+        <Layout.AnnotatedSection
+          title="Cart storage"
+          description="Quick order carts are saved by the app so they follow customers across devices."
+        >
+          <Card>
+            <FormLayout>
+              <Checkbox
+                label="Also copy carts to the customer metafield"
+                helpText="Keeps quick_order.cart_data up to date for themes or integrations that still read it."
+                checked={settings.mirrorCartToMetafield}
+                onChange={(value) => updateSetting("mirrorCartToMetafield", value)}
+              />
+              <Checkbox
+                label="Let B2B colleagues share a cart"
+                helpText="Adds a shared cart for each company location to the cart switcher. Every contact of the location can edit it, and each line shows who added it."
+                checked={settings.sharedCompanyCarts}
+                onChange={(value) => updateSetting("sharedCompanyCarts", value)}
+              />
+            </FormLayout>
+          </Card>
+        </Layout.AnnotatedSection>
+
+        <Layout.AnnotatedSection
+          title="Offline ordering"
+          description="Quantity changes made without a connection are kept on the device and sent once it is back online."
+        >
+          <Card>
+            <Checkbox
+              label="Keep the quick order page available offline"
+              helpText="Caches the page and the catalog pages a buyer has viewed on their device, so they can build an order at trade shows or in warehouses with poor signal. Copies are kept per customer and removed when they log out or another customer logs in."
+              checked={settings.offlineCatalog}
+              onChange={(value) => updateSetting("offlineCatalog", value)}
+            />
+          </Card>
+        </Layout.AnnotatedSection>
+
+        <Layout.AnnotatedSection
+          title="Access"
+          description="Limit the quick order page to wholesale customers. The same rules apply to the app's storefront requests."
+        >
+          <Card>
+            <FormLayout>
+              <ChoiceList
+                title="Who can use quick order"
+                choices={[
+                  { label: "All logged-in customers", value: "all" },
+                  { label: "Only eligible customers", value: "restricted" },
+                ]}
+                selected={[settings.access.mode]}
+                onChange={([value]) => updateAccess("mode", value)}
+              />
+              {settings.access.mode === "restricted" && (
+                <>
+                  <Text as="p" variant="bodySm" tone="subdued">
+                    A customer is eligible when any of the rules below matches.
+                  </Text>
+                  <TextField
+                    label="Customer tags"
+                    value={settings.access.customerTags}
+                    onChange={(value) => updateAccess("customerTags", value)}
+                    helpText="Comma separated, for example: wholesale, trade"
+                    autoComplete="off"
+                  />
+                  <Checkbox
+                    label="Allow members of B2B companies"
+                    checked={settings.access.allowB2B}
+                    onChange={(value) => updateAccess("allowB2B", value)}
+                  />
+                  <TextField
+                    label="Allowed customer emails"
+                    value={settings.access.allowedEmails}
+                    onChange={(value) => updateAccess("allowedEmails", value)}
+                    multiline={4}
+                    helpText="One email address per line."
+                    autoComplete="off"
+                  />
+                  <TextField
+                    label="Message for customers without access"
+                    value={settings.access.deniedMessage}
+                    onChange={(value) => updateAccess("deniedMessage", value)}
+                    multiline={2}
+                    maxLength={1000}
+                    autoComplete="off"
+                  />
+                  <Checkbox
+                    label="Show the wholesale application form"
+                    helpText="Applications appear on the Wholesale applications page. Guests see the form on the quick order page when it's opened with ?apply."
+                    checked={settings.access.showRequestForm}
+                    onChange={(value) => updateAccess("showRequestForm", value)}
+                  />
+                </>
+              )}
+            </FormLayout>
+          </Card>
+        </Layout.AnnotatedSection>
+
+        <Layout.Section>
+          <BlockStack gap="200" inlineAlign="end">
+            <Button variant="primary" onClick={handleSave} loading={isSaving} disabled={!isDirty}>
+              Save
+            </Button>
+            <Text as="p" variant="bodySm" tone="subdued">
+              Changes apply the next time the quick order page is loaded.
+            </Text>
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,38 @@
+import { json } from "@remix-run/node";
+import { authenticateProxyRequest, corsHeaders } from "../services/appProxy.server";
+import { createWholesaleApplication } from "../services/wholesaleApplications.server";
+
+// POST /apps/quick-order/applications - companyName, taxId, firstName, lastName, email, phone,
+// address1, address2, city, province, zip, countryCode, message
+// Stores a wholesale account application for the merchant to review in the app
+export async function action({ request }) {
+  // Handle CORS preflight
+  if (request.method === "OPTIONS") {
+    return new Response(null, { status: 200, headers: corsHeaders });
+  }
+
+  try {
+    // Guests can apply too; a logged-in applicant is linked to their customer account
+    const { shop, customerId } = await authenticateProxyRequest(request);
+    const formData = await request.formData();
+    const application = await createWholesaleApplication(shop, Object.fromEntries(formData), { customerId });
+
+    console.log(`🏢 Wholesale application ${application.id} received from ${application.email}`);
+
+    return json({ success: true, application: { id: application.id, status: application.status } }, { headers: corsHeaders });
+  } catch (error) {
+    console.error("❌ Error submitting wholesale application:", error);
+    return json({
+      error: error.status ? error.message : "Failed to submit application",
+      details: error.message
+    }, {
+      status: error.status || 500,
+      headers: corsHeaders
+    });
+  }
+}
+
+// Handle OPTIONS requests for CORS
+export async function options() {
+  return new Response(null, { status: 200, headers: corsHeaders });
+}
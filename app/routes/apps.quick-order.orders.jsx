@@ -0,0 +1,51 @@
+import { json } from "@remix-run/node";
+import { authenticateProxyRequest, corsHeaders, requireProxyCustomer } from "../services/appProxy.server";
+import { getCustomerOrders, getOrderLines } from "../services/orderHistory.server";
+import { requireQuickOrderAccess } from "../services/quickOrderAccess.server";
+
+// GET /apps/quick-order/orders?first=&after= - the logged-in customer's recent orders for "Previous orders"
+// GET /apps/quick-order/orders?orderId=&after= - the next page of one of those orders' lines
+export async function loader({ request }) {
+  // Handle CORS preflight
+  if (request.method === "OPTIONS") {
+    return new Response(null, { status: 200, headers: corsHeaders });
+  }
+
+  const url = new URL(request.url);
+
+  try {
+    const { admin, ...proxy } = await authenticateProxyRequest(request);
+    const customerId = requireProxyCustomer(proxy, url.searchParams.get("customerId"));
+    await requireQuickOrderAccess(admin, customerId);
+
+    const orderId = url.searchParams.get("orderId");
+    if (orderId) {
+      const result = await getOrderLines(admin, customerId, orderId, { after: url.searchParams.get("after") });
+      console.log(`📦 Loaded ${result.lines.length} more lines of order ${orderId} for customer:`, customerId);
+      return json(result, { headers: corsHeaders });
+    }
+
+    const result = await getCustomerOrders(admin, customerId, {
+      first: url.searchParams.get("first"),
+      after: url.searchParams.get("after"),
+    });
+
+    console.log(`📦 Loaded ${result.orders.length} orders for customer:`, customerId);
+
+    return json(result, { headers: corsHeaders });
+  } catch (error) {
+    console.error("❌ Error loading customer orders:", error);
+    return json({
+      error: error.status ? error.message : "Failed to load orders",
+      details: error.message
+    }, {
+      status: error.status || 500,
+      headers: corsHeaders
+    });
+  }
+}
+
+// Handle OPTIONS requests for CORS
+export async function options() {
+  return new Response(null, { status: 200, headers: corsHeaders });
+}
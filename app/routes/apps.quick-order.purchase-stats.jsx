@@ -0,0 +1,40 @@
+import { json } from "@remix-run/node";
+import { authenticateProxyRequest, corsHeaders, requireProxyCustomer } from "../services/appProxy.server";
+import { getCustomerPurchaseStats } from "../services/orderHistory.server";
+import { requireQuickOrderAccess } from "../services/quickOrderAccess.server";
+
+// GET /apps/quick-order/purchase-stats - the logged-in customer's per-variant/product order frequency
+// and last-ordered dates, used to sort pre-rendered rows when server-side search is unavailable
+export async function loader({ request }) {
+  // Handle CORS preflight
+  if (request.method === "OPTIONS") {
+    return new Response(null, { status: 200, headers: corsHeaders });
+  }
+
+  const url = new URL(request.url);
+
+  try {
+    const { admin, ...proxy } = await authenticateProxyRequest(request);
+    const customerId = requireProxyCustomer(proxy, url.searchParams.get("customerId"));
+    await requireQuickOrderAccess(admin, customerId);
+    const stats = await getCustomerPurchaseStats(admin, customerId);
+
+    console.log(`📊 Purchase stats for customer ${customerId}: ${Object.keys(stats.variants).length} variants across ${stats.orderCount} orders`);
+
+    return json(stats, { headers: corsHeaders });
+  } catch (error) {
+    console.error("❌ Error loading purchase stats:", error);
+    return json({
+      error: error.status ? error.message : "Failed to load purchase history",
+      details: error.message
+    }, {
+      status: error.status || 500,
+      headers: corsHeaders
+    });
+  }
+}
+
+// Handle OPTIONS requests for CORS
+export async function options() {
+  return new Response(null, { status: 200, headers: corsHeaders });
+}
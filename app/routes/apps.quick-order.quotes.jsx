@@ -0,0 +1,58 @@
+import { json } from "@remix-run/node";
+import { authenticateProxyRequest, corsHeaders, requireProxyCustomer } from "../services/appProxy.server";
+import { resolveCompanyLocation } from "../services/companyContext.server";
+import { createQuoteDraftOrder } from "../services/quotes.server";
+import { requireQuickOrderAccess } from "../services/quickOrderAccess.server";
+
+// POST /apps/quick-order/quotes - locationId, items (JSON), note, poNumber
+// Creates a draft order for the merchant to quote instead of checking out
+export async function action({ request }) {
+  // Handle CORS preflight
+  if (request.method === "OPTIONS") {
+    return new Response(null, { status: 200, headers: corsHeaders });
+  }
+
+  try {
+    const { admin, ...proxy } = await authenticateProxyRequest(request);
+    const formData = await request.formData();
+    const customerId = requireProxyCustomer(proxy, formData.get("customerId"));
+    const itemsValue = formData.get("items");
+
+    let items;
+    try {
+      items = JSON.parse(itemsValue || "{}");
+    } catch (e) {
+      return json({ error: "Invalid JSON format for items" }, {
+        status: 400,
+        headers: corsHeaders
+      });
+    }
+
+    await requireQuickOrderAccess(admin, customerId);
+    const companyLocation = await resolveCompanyLocation(admin, customerId, formData.get("locationId"));
+    const quote = await createQuoteDraftOrder(admin, customerId, {
+      items,
+      note: formData.get("note"),
+      poNumber: formData.get("poNumber"),
+      companyLocation,
+    });
+
+    console.log(`📝 Quote ${quote.name} requested by customer:`, customerId);
+
+    return json({ success: true, quote }, { headers: corsHeaders });
+  } catch (error) {
+    console.error("❌ Error requesting quote:", error);
+    return json({
+      error: error.status ? error.message : "Failed to request quote",
+      details: error.message
+    }, {
+      status: error.status || 500,
+      headers: corsHeaders
+    });
+  }
+}
+
+// Handle OPTIONS requests for CORS
+export async function options() {
+  return new Response(null, { status: 200, headers: corsHeaders });
+}
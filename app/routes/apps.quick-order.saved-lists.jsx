@@ -0,0 +1,85 @@
+import { json } from "@remix-run/node";
+import { authenticateProxyRequest, corsHeaders, requireProxyCustomer } from "../services/appProxy.server";
+import { applySavedListAction, getSavedLists } from "../services/savedLists.server";
+import { requireQuickOrderAccess } from "../services/quickOrderAccess.server";
+
+// GET /apps/quick-order/saved-lists - list the logged-in customer's saved order lists
+export async function loader({ request }) {
+  // Handle CORS preflight
+  if (request.method === "OPTIONS") {
+    return new Response(null, { status: 200, headers: corsHeaders });
+  }
+
+  const url = new URL(request.url);
+
+  try {
+    const { admin, ...proxy } = await authenticateProxyRequest(request);
+    const customerId = requireProxyCustomer(proxy, url.searchParams.get("customerId"));
+    await requireQuickOrderAccess(admin, customerId);
+    const lists = await getSavedLists(admin, customerId);
+
+    return json({ lists }, { headers: corsHeaders });
+  } catch (error) {
+    console.error("❌ Error loading saved lists:", error);
+    return json({
+      error: error.status ? error.message : "Failed to load saved lists",
+      details: error.message
+    }, {
+      status: error.status || 500,
+      headers: corsHeaders
+    });
+  }
+}
+
+// POST /apps/quick-order/saved-lists - intent=create|rename|update|delete
+export async function action({ request }) {
+  // Handle CORS preflight
+  if (request.method === "OPTIONS") {
+    return new Response(null, { status: 200, headers: corsHeaders });
+  }
+
+  try {
+    const { admin, ...proxy } = await authenticateProxyRequest(request);
+    const formData = await request.formData();
+    const customerId = requireProxyCustomer(proxy, formData.get("customerId"));
+    const itemsValue = formData.get("items");
+
+    let items;
+    if (itemsValue) {
+      try {
+        items = JSON.parse(itemsValue);
+      } catch (e) {
+        return json({ error: "Invalid JSON format for items" }, {
+          status: 400,
+          headers: corsHeaders
+        });
+      }
+    }
+
+    await requireQuickOrderAccess(admin, customerId);
+    const result = await applySavedListAction(admin, customerId, {
+      intent: formData.get("intent"),
+      listId: formData.get("listId"),
+      name: formData.get("name"),
+      items,
+    });
+
+    console.log(`✅ Saved list ${formData.get("intent")} for customer:`, customerId);
+
+    return json({ success: true, ...result }, { headers: corsHeaders });
+  } catch (error) {
+    console.error("❌ Error updating saved lists:", error);
+    return json({
+      error: error.status ? error.message : "Failed to update saved lists",
+      details: error.message
+    }, {
+      status: error.status || 500,
+      headers: corsHeaders
+    });
+  }
+}
+
+// Handle OPTIONS requests for CORS
+export async function options() {
+  return new Response(null, { status: 200, headers: corsHeaders });
+}
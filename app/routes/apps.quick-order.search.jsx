@@ -0,0 +1,104 @@
+import { json } from "@remix-run/node";
+import { authenticateProxyRequest, corsHeaders, requireProxyCustomer } from "../services/appProxy.server";
+import { resolveCompanyLocation } from "../services/companyContext.server";
+import { getCustomerPurchaseStats } from "../services/orderHistory.server";
+import { getProductsByVariantIds, PURCHASE_SORTS, searchProducts } from "../services/productSearch.server";
+import { requireQuickOrderAccess } from "../services/quickOrderAccess.server";
+
+// Splits a comma separated query param into a trimmed list
+function getListParam(url, name) {
+  return (url.searchParams.get(name) || "")
+    .split(",")
+    .map(value => value.trim())
+    .filter(Boolean)
+    .slice(0, 100);
+}
+
+// GET /apps/quick-order/search?q=&collection=&first=&after=
+// GET /apps/quick-order/search?ids=123,456 or ?skus=ABC-1,ABC-2 to load specific variants
+// The customer is the logged-in customer from the signed proxy request (required when the
+// shop restricts access); B2B buyers add &locationId= to get their catalog and price list
+// &sort=relevance|title|price|sku|frequent|recent and &orderedOnly=1 (both purchase
+// history options need a logged-in customer)
+export async function loader({ request }) {
+  // Handle CORS preflight
+  if (request.method === "OPTIONS") {
+    return new Response(null, { status: 200, headers: corsHeaders });
+  }
+
+  const url = new URL(request.url);
+
+  try {
+    const { admin, ...proxy } = await authenticateProxyRequest(request);
+    // Guests may search when the shop doesn't restrict access; a customerId sent by the
+    // storefront must still match the signed customer
+    const claimedCustomerId = url.searchParams.get("customerId");
+    const customerId = claimedCustomerId && claimedCustomerId !== "null"
+      ? requireProxyCustomer(proxy, claimedCustomerId)
+      : proxy.customerId;
+    await requireQuickOrderAccess(admin, customerId);
+
+    const companyLocation = await resolveCompanyLocation(
+      admin,
+      customerId,
+      url.searchParams.get("locationId")
+    );
+    const companyLocationId = companyLocation?.id || null;
+
+    const variantIds = getListParam(url, "ids");
+    if (variantIds.length > 0) {
+      const products = await getProductsByVariantIds(admin, variantIds, { companyLocationId });
+      return json({
+        products,
+        companyLocation,
+        pageInfo: { hasNextPage: false, endCursor: null },
+        totalCount: products.length,
+      }, { headers: corsHeaders });
+    }
+
+    const sort = url.searchParams.get("sort") || "relevance";
+    const orderedOnly = url.searchParams.get("orderedOnly") === "1";
+    let purchaseStats = null;
+
+    if (PURCHASE_SORTS.includes(sort) || orderedOnly) {
+      if (!customerId) {
+        return json({ error: "Log in to sort by order history" }, {
+          status: 400,
+          headers: corsHeaders
+        });
+      }
+      purchaseStats = await getCustomerPurchaseStats(admin, customerId);
+    }
+
+    const skus = getListParam(url, "skus");
+    const result = await searchProducts(admin, {
+      term: url.searchParams.get("q") || "",
+      collectionId: url.searchParams.get("collection") || null,
+      skus,
+      first: skus.length > 0 ? skus.length : url.searchParams.get("first"),
+      after: url.searchParams.get("after"),
+      companyLocationId,
+      sort,
+      purchaseStats,
+      orderedOnly,
+    });
+
+    console.log(`🔍 Product search "${url.searchParams.get("q") || ""}" returned ${result.products.length} of ${result.totalCount ?? "an uncounted catalog"}`);
+
+    return json({ ...result, companyLocation }, { headers: corsHeaders });
+  } catch (error) {
+    console.error("❌ Error searching products:", error);
+    return json({
+      error: error.status ? error.message : "Failed to search products",
+      details: error.message
+    }, {
+      status: error.status || 500,
+      headers: corsHeaders
+    });
+  }
+}
+
+// Handle OPTIONS requests for CORS
+export async function options() {
+  return new Response(null, { status: 200, headers: corsHeaders });
+}
@@ -0,0 +1,126 @@
+// GET /apps/quick-order/sw.js - service worker for the optional offline catalog (Settings >
+// Offline ordering). The storefront registers it with the quick order page as its scope, so
+// it only sees that page's requests. Pages and catalog responses are network-first with the
+// last copy as the offline fallback; theme assets are served from cache and refreshed in the
+// background. Cart requests are never cached - offline edits go to the pending change queue.
+// Pages and catalog responses are personal (customer id, B2B prices, order history), so they
+// are cached per customer: the page reports who is logged in, and another customer, a guest or
+// a logout link clears the previous customer's copies. Nothing personal is cached for guests.
+const CACHE_VERSION = "v2";
+
+const serviceWorker = `
+const PAGE_CACHE_PREFIX = "quick-order-pages-${CACHE_VERSION}-";
+const ASSET_CACHE = "quick-order-assets-${CACHE_VERSION}";
+const META_CACHE = "quick-order-meta-${CACHE_VERSION}";
+const CATALOG_PATHS = ["/apps/quick-order/search", "/apps/quick-order/purchase-stats"];
+const ASSET_DESTINATIONS = ["script", "style", "image", "font"];
+
+// The last customer the page reported, kept in the cache so it survives worker restarts
+let customerKey = null;
+
+async function getCustomerKey() {
+  if (customerKey === null) {
+    const stored = await (await caches.open(META_CACHE)).match("/customer");
+    customerKey = stored ? await stored.text() : "";
+  }
+  return customerKey;
+}
+
+async function setCustomer(customerId) {
+  const key = customerId ? String(customerId) : "";
+  if (key === await getCustomerKey()) return;
+
+  customerKey = key;
+  await (await caches.open(META_CACHE)).put("/customer", new Response(key));
+  const names = await caches.keys();
+  await Promise.all(
+    names
+      .filter((name) => name.startsWith(PAGE_CACHE_PREFIX) && name !== PAGE_CACHE_PREFIX + key)
+      .map((name) => caches.delete(name))
+  );
+}
+
+self.addEventListener("install", () => self.skipWaiting());
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "quick-order-customer") {
+    event.waitUntil(setCustomer(event.data.customerId));
+  }
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((names) => Promise.all(
+        names
+          .filter((name) => name.startsWith("quick-order-") && !name.startsWith(PAGE_CACHE_PREFIX) && ![ASSET_CACHE, META_CACHE].includes(name))
+          .map((name) => caches.delete(name))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// requestCustomerId is the customer a catalog request was made for; responses for anyone
+// but the current customer are passed through without caching
+async function networkFirst(request, requestCustomerId = null) {
+  const key = await getCustomerKey();
+  const cache = key && (!requestCustomerId || requestCustomerId === key)
+    ? await caches.open(PAGE_CACHE_PREFIX + key)
+    : null;
+  try {
+    const response = await fetch(request);
+    if (response.ok && cache) {
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = cache && await cache.match(request);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+async function staleWhileRevalidate(event) {
+  const cache = await caches.open(ASSET_CACHE);
+  const cached = await cache.match(event.request);
+  const refresh = fetch(event.request).then((response) => {
+    if (response.ok || response.type === "opaque") {
+      return cache.put(event.request, response.clone()).then(() => response);
+    }
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+  const sameOrigin = url.origin === self.location.origin;
+
+  if (request.mode === "navigate") {
+    event.respondWith(networkFirst(request));
+  } else if (sameOrigin && CATALOG_PATHS.includes(url.pathname)) {
+    event.respondWith(networkFirst(request, url.searchParams.get("customerId")));
+  } else if (!sameOrigin && ASSET_DESTINATIONS.includes(request.destination)) {
+    event.respondWith(staleWhileRevalidate(event));
+  }
+});
+`;
+
+export async function loader() {
+  return new Response(serviceWorker, {
+    headers: {
+      "Content-Type": "application/javascript; charset=utf-8",
+      "Cache-Control": "no-cache",
+      // Lets the worker control the quick order page, which lives outside /apps/quick-order/
+      "Service-Worker-Allowed": "/",
+    },
+  });
+}
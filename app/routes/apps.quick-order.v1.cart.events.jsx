@@ -0,0 +1,16 @@
+import { corsHeaders } from "../services/appProxy.server";
+import { handleCartEvents } from "../services/cartApi.server";
+
+// GET /apps/quick-order/v1/cart/events - Server-Sent Events: a `cart` event with
+// { cartId, version, timestamp } on connect (for ?cartId=) and whenever any of the customer's
+// carts is saved on any device served by the same app process. The app proxy may buffer or
+// drop the stream, so storefronts poll /apps/quick-order/v1/cart every 5 seconds while it isn't
+// connected and every minute while it is.
+export async function loader({ request }) {
+  return handleCartEvents(request);
+}
+
+// Handle OPTIONS requests for CORS
+export async function options() {
+  return new Response(null, { status: 200, headers: corsHeaders });
+}
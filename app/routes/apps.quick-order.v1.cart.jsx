@@ -0,0 +1,19 @@
+import { corsHeaders } from "../services/appProxy.server";
+import { handleGetCart, handleSaveCart } from "../services/cartApi.server";
+
+// GET /apps/quick-order/v1/cart - the logged-in customer's cart: { customerId, cartData }
+// GET ?cartId= loads one of the customer's named carts; without it, the default cart
+// POST /apps/quick-order/v1/cart - JSON { cartId, lines, orderDetails, version }
+// Shapes are documented in app/services/cartApi.server.js
+export async function loader({ request }) {
+  return handleGetCart(request);
+}
+
+export async function action({ request }) {
+  return handleSaveCart(request);
+}
+
+// Handle OPTIONS requests for CORS
+export async function options() {
+  return new Response(null, { status: 200, headers: corsHeaders });
+}
@@ -0,0 +1,18 @@
+import { corsHeaders } from "../services/appProxy.server";
+import { handleCartAction, handleListCarts } from "../services/cartApi.server";
+
+// GET /apps/quick-order/v1/carts - the logged-in customer's named carts: { carts }
+// POST /apps/quick-order/v1/carts - JSON { intent: create|rename|delete, cartId, name }
+// Shapes are documented in app/services/cartApi.server.js
+export async function loader({ request }) {
+  return handleListCarts(request);
+}
+
+export async function action({ request }) {
+  return handleCartAction(request);
+}
+
+// Handle OPTIONS requests for CORS
+export async function options() {
+  return new Response(null, { status: 200, headers: corsHeaders });
+}
@@ -1,5 +1,6 @@
 import { authenticate } from "../shopify.server";
 import prisma from "../db.server";
+import { deleteSavedCarts, forgetSharedCartContact } from "../services/savedCarts.server";
 
 export const action = async ({ request }) => {
   try {
@@ -41,6 +42,14 @@ async function handleCustomerDataRequest(payload) {
   const { shop_id, shop_domain, customer, orders_requested, data_request } = payload;
   
   try {
+    const wholesaleApplications = await prisma.wholesaleApplication.findMany({
+      where: {
+        shop: shop_domain,
+        email: customer.email?.toLowerCase()
+      }
+    });
+    console.log(`Wholesale applications found for ${customer.email}: ${wholesaleApplications.length}`);
+
     // Find any contact form submissions for this customer
     const contactForms = await prisma.contactForm.findMany({
       where: {
@@ -73,6 +82,20 @@ async function handleCustomerRedact(payload) {
   const { shop_id, shop_domain, customer, orders_to_redact } = payload;
   
   try {
+    const deletedApplications = await prisma.wholesaleApplication.deleteMany({
+      where: {
+        shop: shop_domain,
+        email: customer.email?.toLowerCase()
+      }
+    });
+    console.log(`Deleted ${deletedApplications.count} wholesale applications for customer ${customer.email}`);
+
+    const deletedCarts = await deleteSavedCarts(shop_domain, customer.id);
+    console.log(`Deleted ${deletedCarts.count} saved carts for customer ${customer.id}`);
+
+    const anonymizedCarts = await forgetSharedCartContact(shop_domain, customer.id);
+    console.log(`Removed customer ${customer.id} from ${anonymizedCarts} shared company carts`);
+
     // Delete any contact form submissions for this customer
     const deletedRecords = await prisma.contactForm.deleteMany({
       where: {
@@ -107,6 +130,17 @@ async function handleShopRedact(payload) {
     });
     
     console.log(`Deleted ${deletedSessions.count} sessions for shop ${shop_domain}`);
+
+    const deletedApplications = await prisma.wholesaleApplication.deleteMany({
+      where: {
+        shop: shop_domain
+      }
+    });
+
+    console.log(`Deleted ${deletedApplications.count} wholesale applications for shop ${shop_domain}`);
+
+    const deletedCarts = await deleteSavedCarts(shop_domain);
+    console.log(`Deleted ${deletedCarts.count} saved carts for shop ${shop_domain}`);
     
     // Note: We're not deleting ContactForm data here because it's not shop-specific
     // In your case, contact forms are general inquiries, not tied to specific shops
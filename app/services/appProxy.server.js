@@ -0,0 +1,66 @@
+// app/services/appProxy.server.js
+// Shared helpers for storefront requests routed through the app proxy (/apps/quick-order/*)
+import { authenticate } from "../shopify.server";
+
+// Proxied requests are same-origin for the storefront, so no other origin is allowed to call
+// these routes; the methods and headers are kept for preflights from older theme scripts
+export const corsHeaders = {
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+};
+
+function proxyError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Verify the app proxy signature Shopify adds to every proxied request. The shop and the
+// logged-in customer come from the signed parameters, never from what the storefront sends.
+export async function authenticateProxyRequest(request) {
+  let context;
+  try {
+    context = await authenticate.public.appProxy(request);
+  } catch (error) {
+    if (error instanceof Response) {
+      throw proxyError("Invalid app proxy signature", 401);
+    }
+    throw error;
+  }
+
+  // Admin calls use the shop's offline session from session storage, so every installed shop
+  // is served with its own token. No session means the app isn't installed (or was removed).
+  if (!context.session) {
+    const shop = new URL(request.url).searchParams.get("shop");
+    console.log(`🚫 App proxy request from ${shop}, which has no offline session`);
+    throw proxyError(`Quick order is not installed on ${shop}. Reinstall the app from the Shopify admin.`, 404);
+  }
+
+  const customerId = new URL(request.url).searchParams.get("logged_in_customer_id") || null;
+  return { admin: context.admin, shop: context.session.shop, customerId };
+}
+
+// The signed customer, rejecting guests and requests made on behalf of another customer.
+// `claimedCustomerId` is the id older theme scripts still send along.
+export function requireProxyCustomer(proxy, claimedCustomerId = null) {
+  if (!proxy.customerId) {
+    throw proxyError("Log in to use quick order", 401);
+  }
+  if (claimedCustomerId && claimedCustomerId !== "null" && toNumericId(claimedCustomerId) !== proxy.customerId) {
+    console.log(`🚫 Request for customer ${claimedCustomerId} signed for customer ${proxy.customerId}`);
+    throw proxyError("Customer does not match the logged-in customer", 403);
+  }
+  return proxy.customerId;
+}
+
+// Strip a Shopify GID down to its numeric id (storefront Liquid uses numeric ids)
+export function toNumericId(id) {
+  if (!id) return null;
+  return String(id).split("/").pop();
+}
+
+export function toGid(type, id) {
+  if (!id) return null;
+  const value = String(id);
+  return value.startsWith("gid://") ? value : `gid://shopify/${type}/${value}`;
+}
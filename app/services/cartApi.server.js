@@ -0,0 +1,486 @@
+// app/services/cartApi.server.js
+// Storefront cart API (v1). Served at /apps/quick-order/v1/cart; the older cart-metafields
+// proxy paths are aliases of the same handlers so deployed themes keep working (the
+// unproxied /api/cart/metafields answers 410 Gone). Customers can keep
+// several named carts; requests that name no cartId use the default cart, as older themes do.
+// Requests with a companyLocationId use that B2B location's shared cart instead.
+import { json } from "@remix-run/node";
+import { authenticateProxyRequest, corsHeaders, requireProxyCustomer, toNumericId } from "./appProxy.server";
+import { publishCartChange, subscribeToCartChanges } from "./cartEvents.server";
+import { resolveCompanyLocation } from "./companyContext.server";
+import { requireQuickOrderAccess } from "./quickOrderAccess.server";
+import {
+  applySavedCartAction,
+  getSavedCart,
+  getSharedCart,
+  listSavedCarts,
+  migrateLegacyCart,
+  quantitiesFromLines,
+  readCartMetafield,
+  saveCart,
+  SHARED_CART_NAME,
+  toCartData,
+  toCartSummary,
+  writeCartMetafield,
+} from "./savedCarts.server";
+
+/**
+ * @typedef {Object} OrderDetails
+ * @property {string} [poNumber]
+ * @property {string} [deliveryDate]
+ * @property {string} [note]
+ */
+
+/**
+ * A contact of a company location, as recorded on shared cart lines
+ * @typedef {Object} CartContact
+ * @property {string | null} customerId Numeric customer id; null once the customer is redacted
+ * @property {string} name
+ */
+
+/**
+ * One variant of the cart. Devices merge carts per variant, the latest updatedAt winning;
+ * a removed variant is kept as a tombstone with quantity 0.
+ * @typedef {Object} CartLine
+ * @property {number} quantity
+ * @property {string} updatedAt When a device last changed this variant (ISO 8601)
+ * @property {string} deviceId The device that made that change
+ * @property {CartContact} [addedBy] Shared carts: who put the variant in the cart
+ * @property {CartContact} [updatedBy] Shared carts: who changed it last. Set by the server.
+ */
+
+/**
+ * @typedef {Object} CartData
+ * @property {string | null} cartId null until the default cart is first saved
+ * @property {string | null} companyLocationId Set on a company location's shared cart
+ * @property {string} name
+ * @property {Record<string, number>} quantities Quantity by numeric variant id, tombstones left out
+ * @property {Record<string, CartLine>} lines Lines by numeric variant id
+ * @property {OrderDetails | null} orderDetails
+ * @property {string | null} timestamp When the cart was last saved (ISO 8601)
+ * @property {number} version 0 until the cart is first saved
+ */
+
+/**
+ * Body of POST /v1/cart. Sent as JSON; legacy themes post form data with a `cartData` JSON
+ * string and a `version` field instead, and only quantities rather than lines.
+ * @typedef {Object} SaveCartRequest
+ * @property {string | null} [cartId] The cart to save; the default cart when missing
+ * @property {string | null} [companyLocationId] Save the location's shared cart instead
+ * @property {Record<string, CartLine>} [lines]
+ * @property {Record<string, number>} [quantities] Old format, used when lines are missing
+ * @property {OrderDetails | null} [orderDetails]
+ * @property {number} version The cart version the device last loaded
+ */
+
+/**
+ * @typedef {Object} CartResponse GET and successful POST responses
+ * @property {string} customerId
+ * @property {CartData} cartData
+ * @property {boolean} [success] Set on saves
+ */
+
+/**
+ * @typedef {Object} CartConflictResponse 409 response when another device saved first
+ * @property {string} error
+ * @property {CartData} cartData The current cart to merge with
+ */
+
+/**
+ * @typedef {Object} CartErrorResponse
+ * @property {string} error
+ * @property {string} [details]
+ */
+
+/**
+ * @typedef {Object} CartSummary One entry of the cart switcher
+ * @property {string | null} cartId null for a shared cart nobody has saved yet
+ * @property {string | null} companyLocationId Set on the shared cart
+ * @property {string} [locationName] Shared cart: the company location's name
+ * @property {string} name
+ * @property {number} itemCount Variants in the cart
+ * @property {string | null} timestamp
+ * @property {number} version
+ */
+
+/**
+ * Body of POST /v1/carts
+ * @typedef {Object} CartActionRequest
+ * @property {"create" | "rename" | "delete"} intent
+ * @property {string} [cartId] The cart to rename or delete
+ * @property {string} [name] Name of the new or renamed cart
+ */
+
+/**
+ * @typedef {Object} CartsResponse GET and POST /v1/carts
+ * @property {CartSummary[]} carts Default cart first
+ * @property {CartSummary | null} [sharedCart] The shared cart of ?companyLocationId=, when enabled
+ * @property {CartData | null} [cart] The created or renamed cart
+ * @property {boolean} [success] Set on actions
+ */
+
+/**
+ * Data of the `cart` events on GET /v1/cart/events. Sent once when the stream opens (for the
+ * cart named by ?cartId= or ?companyLocationId=) and again after every save to any of the
+ * customer's carts or to that shared cart, so a device that reconnects still learns about
+ * saves it missed.
+ * @typedef {Object} CartChangeEvent
+ * @property {string | null} cartId
+ * @property {string} [companyLocationId] Set for saves to a shared cart
+ * @property {number} version
+ * @property {string | null} timestamp
+ * @property {boolean} [listChanged] Set when a cart was created, renamed or deleted
+ */
+
+// Streams are closed after a few minutes so proxies never hold them past their own timeouts;
+// EventSource reconnects on its own after `retry` milliseconds
+const EVENT_STREAM_MAX_AGE = 4 * 60 * 1000;
+const EVENT_STREAM_HEARTBEAT = 25 * 1000;
+const EVENT_STREAM_RETRY = 3000;
+
+function cartApiError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Shared carts are opt-in (Settings > Shared company carts) and open only to contacts of the
+// location. Returns null when the request is for one of the customer's own carts.
+async function resolveSharedCartLocation(admin, settings, customerId, companyLocationId) {
+  if (!companyLocationId) return null;
+  if (!settings.sharedCompanyCarts) {
+    throw cartApiError("Shared company carts are not enabled", 403);
+  }
+  return resolveCompanyLocation(admin, customerId, companyLocationId);
+}
+
+/**
+ * @param {Request} request
+ * @returns {Promise<SaveCartRequest & { customerId: string | null }>}
+ */
+export async function parseSaveCartRequest(request) {
+  const contentType = request.headers.get("Content-Type") || "";
+
+  if (contentType.includes("application/json")) {
+    let body;
+    try {
+      body = await request.json();
+    } catch (e) {
+      throw cartApiError("Invalid JSON body");
+    }
+    return {
+      customerId: body.customerId || null,
+      cartId: body.cartId || null,
+      companyLocationId: body.companyLocationId || null,
+      lines: body.lines || null,
+      quantities: body.quantities || {},
+      orderDetails: body.orderDetails || null,
+      version: body.version,
+    };
+  }
+
+  // Legacy form data: customerId, cartData (JSON { quantities, orderDetails }), version
+  const formData = await request.formData();
+  const cartDataValue = formData.get("cartData");
+  if (!cartDataValue) {
+    throw cartApiError("Cart data is required");
+  }
+
+  let cartData;
+  try {
+    cartData = JSON.parse(cartDataValue);
+  } catch (e) {
+    throw cartApiError("Invalid JSON format for cart data");
+  }
+
+  return {
+    customerId: formData.get("customerId"),
+    cartId: formData.get("cartId") || null,
+    companyLocationId: formData.get("companyLocationId") || null,
+    lines: cartData.lines || null,
+    quantities: cartData.quantities || {},
+    orderDetails: cartData.orderDetails || null,
+    version: formData.get("version"),
+  };
+}
+
+/**
+ * @param {Error & { status?: number, cartData?: CartData }} error
+ * @param {string} fallbackMessage
+ */
+function errorResponse(error, fallbackMessage) {
+  if (error.status === 409) {
+    console.log('⚠️ Cart save conflict, returning current cart version', error.cartData.version);
+    /** @type {CartConflictResponse} */
+    const conflict = { error: error.message, cartData: error.cartData };
+    return json(conflict, { status: 409, headers: corsHeaders });
+  }
+
+  console.error(`❌ ${fallbackMessage}:`, error);
+  /** @type {CartErrorResponse} */
+  const body = {
+    error: error.status ? error.message : fallbackMessage,
+    details: error.message,
+  };
+  return json(body, { status: error.status || 500, headers: corsHeaders });
+}
+
+// GET - one of the logged-in customer's carts (?cartId=, the default cart when missing) or
+// their company location's shared cart (?companyLocationId=). Customers without a saved cart
+// yet get their old cart_data metafield at version 0 so it carries over.
+export async function handleGetCart(request) {
+  // Handle CORS preflight
+  if (request.method === "OPTIONS") {
+    return new Response(null, { status: 200, headers: corsHeaders });
+  }
+
+  try {
+    const { admin, shop, ...proxy } = await authenticateProxyRequest(request);
+    const { searchParams } = new URL(request.url);
+    const customerId = requireProxyCustomer(proxy, searchParams.get("customerId"));
+    const settings = await requireQuickOrderAccess(admin, customerId);
+    const location = await resolveSharedCartLocation(admin, settings, customerId, searchParams.get("companyLocationId"));
+
+    if (location) {
+      /** @type {CartResponse} */
+      const body = {
+        customerId,
+        cartData: toCartData(await getSharedCart(shop, location.id), { companyLocationId: location.id }),
+      };
+      return json(body, { headers: corsHeaders });
+    }
+
+    const savedCart = await getSavedCart(shop, customerId, searchParams.get("cartId"));
+    let cartData = toCartData(savedCart);
+
+    if (!savedCart) {
+      const metafieldCart = await readCartMetafield(admin, customerId);
+      if (metafieldCart) {
+        console.log('📦 No saved cart yet, using cart_data metafield for customer:', customerId);
+        const lines = migrateLegacyCart(metafieldCart);
+        cartData = {
+          ...cartData,
+          quantities: quantitiesFromLines(lines),
+          lines,
+          orderDetails: metafieldCart.orderDetails || null,
+          timestamp: metafieldCart.timestamp || null,
+        };
+      }
+    }
+
+    /** @type {CartResponse} */
+    const body = { customerId, cartData };
+    return json(body, { headers: corsHeaders });
+  } catch (error) {
+    return errorResponse(error, "Failed to load cart");
+  }
+}
+
+// POST - save the cart if it is still at the version the device last loaded; 409 with the
+// current cart otherwise
+export async function handleSaveCart(request) {
+  // Handle CORS preflight
+  if (request.method === "OPTIONS") {
+    return new Response(null, { status: 200, headers: corsHeaders });
+  }
+
+  try {
+    const { admin, shop, ...proxy } = await authenticateProxyRequest(request);
+    const saveRequest = await parseSaveCartRequest(request);
+    const customerId = requireProxyCustomer(proxy, saveRequest.customerId);
+    const settings = await requireQuickOrderAccess(admin, customerId);
+    const location = await resolveSharedCartLocation(admin, settings, customerId, saveRequest.companyLocationId);
+
+    const savedCart = await saveCart(shop, customerId, {
+      cartId: saveRequest.cartId,
+      companyLocationId: location?.id || null,
+      contactName: location?.customerName || null,
+      lines: saveRequest.lines,
+      quantities: saveRequest.quantities,
+      orderDetails: saveRequest.orderDetails,
+      baseVersion: saveRequest.version,
+    });
+    const cartData = toCartData(savedCart);
+
+    console.log(`💾 Saved cart "${cartData.name}" v${cartData.version} for customer:`, customerId);
+    publishCartChange(shop, customerId, cartData);
+
+    // The metafield has room for one cart, so only the default cart is mirrored
+    const isDefaultCart = !location &&
+      (!saveRequest.cartId || (await getSavedCart(shop, customerId))?.id === savedCart.id);
+    if (settings.mirrorCartToMetafield && isDefaultCart) {
+      try {
+        await writeCartMetafield(admin, customerId, cartData);
+      } catch (error) {
+        // The saved cart is the source of truth; a failed mirror must not fail the save
+        console.error('⚠️ Cart metafield mirror failed:', error);
+      }
+    }
+
+    /** @type {CartResponse} */
+    const body = { success: true, customerId, cartData };
+    return json(body, { headers: corsHeaders });
+  } catch (error) {
+    return errorResponse(error, "Failed to save cart");
+  }
+}
+
+// GET /v1/cart/events - Server-Sent Events stream of CartChangeEvents for the logged-in customer.
+// Best effort only (see cartEvents.server.js): the storefront still polls /v1/cart, more slowly while connected.
+export async function handleCartEvents(request) {
+  // Handle CORS preflight
+  if (request.method === "OPTIONS") {
+    return new Response(null, { status: 200, headers: corsHeaders });
+  }
+
+  let customerId;
+  let cartData;
+  let shop;
+  let location;
+  try {
+    const { admin, ...proxy } = await authenticateProxyRequest(request);
+    shop = proxy.shop;
+    const { searchParams } = new URL(request.url);
+    customerId = requireProxyCustomer(proxy, searchParams.get("customerId"));
+    const settings = await requireQuickOrderAccess(admin, customerId);
+    location = await resolveSharedCartLocation(admin, settings, customerId, searchParams.get("companyLocationId"));
+    cartData = location
+      ? toCartData(await getSharedCart(shop, location.id), { companyLocationId: location.id })
+      : toCartData(await getSavedCart(shop, customerId, searchParams.get("cartId")));
+  } catch (error) {
+    return errorResponse(error, "Failed to open cart events");
+  }
+
+  const encoder = new TextEncoder();
+  let cleanup = () => {};
+
+  const stream = new ReadableStream({
+    start(controller) {
+      let closed = false;
+      const send = (chunk) => {
+        if (!closed) controller.enqueue(encoder.encode(chunk));
+      };
+      /** @param {CartChangeEvent} change */
+      const sendChange = (change) => {
+        send(`event: cart\nid: ${change.version}\ndata: ${JSON.stringify(change)}\n\n`);
+      };
+
+      const unsubscribe = subscribeToCartChanges(shop, customerId, sendChange, {
+        companyLocationId: location?.id || null,
+      });
+      const heartbeat = setInterval(() => send(": ping\n\n"), EVENT_STREAM_HEARTBEAT);
+      const maxAge = setTimeout(() => cleanup(), EVENT_STREAM_MAX_AGE);
+
+      cleanup = () => {
+        if (closed) return;
+        closed = true;
+        unsubscribe();
+        clearInterval(heartbeat);
+        clearTimeout(maxAge);
+        request.signal.removeEventListener("abort", cleanup);
+        try {
+          controller.close();
+        } catch (e) {
+          // Already closed by the client
+        }
+      };
+      request.signal.addEventListener("abort", cleanup);
+
+      console.log('📡 Cart event stream opened for customer:', customerId);
+      send(`retry: ${EVENT_STREAM_RETRY}\n\n`);
+      sendChange({
+        cartId: cartData.cartId,
+        ...(cartData.companyLocationId ? { companyLocationId: cartData.companyLocationId } : {}),
+        version: cartData.version,
+        timestamp: cartData.timestamp,
+      });
+    },
+    cancel() {
+      cleanup();
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      ...corsHeaders,
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      // Stops nginx-style proxies from buffering the stream
+      "X-Accel-Buffering": "no",
+    },
+  });
+}
+
+// GET /v1/carts - the logged-in customer's carts for the cart switcher, plus the shared cart
+// of ?companyLocationId= when shared company carts are enabled
+export async function handleListCarts(request) {
+  // Handle CORS preflight
+  if (request.method === "OPTIONS") {
+    return new Response(null, { status: 200, headers: corsHeaders });
+  }
+
+  try {
+    const { admin, shop, ...proxy } = await authenticateProxyRequest(request);
+    const { searchParams } = new URL(request.url);
+    const customerId = requireProxyCustomer(proxy, searchParams.get("customerId"));
+    const settings = await requireQuickOrderAccess(admin, customerId);
+
+    let sharedCart = null;
+    if (settings.sharedCompanyCarts && searchParams.get("companyLocationId")) {
+      const location = await resolveCompanyLocation(admin, customerId, searchParams.get("companyLocationId"));
+      const savedCart = await getSharedCart(shop, location.id);
+      sharedCart = {
+        ...(savedCart
+          ? toCartSummary(savedCart)
+          : { cartId: null, companyLocationId: toNumericId(location.id), name: SHARED_CART_NAME, itemCount: 0, timestamp: null, version: 0 }),
+        locationName: location.name,
+      };
+    }
+
+    /** @type {CartsResponse} */
+    const body = { carts: (await listSavedCarts(shop, customerId)).map(toCartSummary), sharedCart };
+    return json(body, { headers: corsHeaders });
+  } catch (error) {
+    return errorResponse(error, "Failed to load carts");
+  }
+}
+
+// POST /v1/carts - JSON CartActionRequest: create, rename or delete a cart
+export async function handleCartAction(request) {
+  // Handle CORS preflight
+  if (request.method === "OPTIONS") {
+    return new Response(null, { status: 200, headers: corsHeaders });
+  }
+
+  try {
+    const { admin, shop, ...proxy } = await authenticateProxyRequest(request);
+    /** @type {CartActionRequest & { customerId?: string }} */
+    let body;
+    try {
+      body = await request.json();
+    } catch (e) {
+      throw cartApiError("Invalid JSON body");
+    }
+    const customerId = requireProxyCustomer(proxy, body.customerId);
+    await requireQuickOrderAccess(admin, customerId);
+
+    const result = await applySavedCartAction(shop, customerId, {
+      intent: body.intent,
+      cartId: body.cartId,
+      name: body.name,
+    });
+
+    console.log(`🗂️ Cart ${body.intent} for customer:`, customerId);
+    publishCartChange(shop, customerId, {
+      cartId: result.cart?.cartId || body.cartId || null,
+      version: result.cart?.version || 0,
+      timestamp: result.cart?.timestamp || null,
+    }, { listChanged: true });
+
+    /** @type {CartsResponse} */
+    const response = { success: true, ...result };
+    return json(response, { headers: corsHeaders });
+  } catch (error) {
+    return errorResponse(error, "Failed to update carts");
+  }
+}
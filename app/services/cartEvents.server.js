@@ -0,0 +1,58 @@
+// app/services/cartEvents.server.js
+// In-process "cart changed" notifications for the storefront event stream. Saves publish the
+// new version; every open stream for that customer is told so it can fetch the cart. A
+// company location's shared cart has its own channel, heard by the streams of every contact
+// who has it open.
+//
+// These are a best-effort shortcut, not the sync mechanism: streams only hear saves handled
+// by the same server process, and the app proxy isn't built for long-lived responses, so it
+// may buffer, cut or never deliver the stream. The storefront polls the cart endpoint every
+// 5 seconds while its stream isn't connected and every minute while it is. Run several app instances behind shared
+// storage (e.g. Redis pub/sub) before relying on events alone.
+import { EventEmitter } from "node:events";
+import { toNumericId } from "./appProxy.server";
+
+// Keep one emitter across dev-server reloads, like the Prisma client in db.server.js
+if (!global.quickOrderCartEvents) {
+  global.quickOrderCartEvents = new EventEmitter();
+  // One listener per open storefront tab; the default limit of 10 is meant to catch leaks
+  global.quickOrderCartEvents.setMaxListeners(0);
+}
+
+const cartEvents = global.quickOrderCartEvents;
+
+function channel(shop, customerId) {
+  return `${shop}:${toNumericId(customerId)}`;
+}
+
+function locationChannel(shop, companyLocationId) {
+  return `${shop}:location:${toNumericId(companyLocationId)}`;
+}
+
+// cartData is the saved cart as returned by toCartData; only its id, version and timestamp
+// are sent, the device loads the cart itself through the authenticated cart endpoint. All of
+// a customer's carts share one channel so the cart switcher hears about new and renamed carts.
+export function publishCartChange(shop, customerId, cartData, { listChanged = false } = {}) {
+  const name = cartData.companyLocationId
+    ? locationChannel(shop, cartData.companyLocationId)
+    : channel(shop, customerId);
+
+  cartEvents.emit(name, {
+    cartId: cartData.cartId,
+    ...(cartData.companyLocationId ? { companyLocationId: cartData.companyLocationId } : {}),
+    version: cartData.version,
+    timestamp: cartData.timestamp,
+    ...(listChanged ? { listChanged } : {}),
+  });
+}
+
+// Returns a function that removes the listener. With a companyLocationId the listener also
+// hears saves to that location's shared cart.
+export function subscribeToCartChanges(shop, customerId, listener, { companyLocationId = null } = {}) {
+  const names = [channel(shop, customerId)];
+  if (companyLocationId) {
+    names.push(locationChannel(shop, companyLocationId));
+  }
+  names.forEach(name => cartEvents.on(name, listener));
+  return () => names.forEach(name => cartEvents.off(name, listener));
+}
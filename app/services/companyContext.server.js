@@ -0,0 +1,66 @@
+// app/services/companyContext.server.js
+// Resolves the B2B company location a storefront customer is buying for
+import { toGid, toNumericId } from "./appProxy.server";
+
+// Returns the company locations the customer has a role at
+export async function getCustomerCompanyLocations(admin, customerId) {
+  const response = await admin.graphql(
+    `#graphql
+      query quickOrderCompanyLocations($customerId: ID!) {
+        customer(id: $customerId) {
+          id
+          displayName
+          companyContactProfiles {
+            id
+            company { id name }
+            roleAssignments(first: 50) {
+              nodes {
+                companyLocation { id name }
+              }
+            }
+          }
+        }
+      }`,
+    { variables: { customerId: toGid("Customer", customerId) } }
+  );
+
+  const data = await response.json();
+  if (data.errors) {
+    throw new Error(`Company lookup failed: ${JSON.stringify(data.errors)}`);
+  }
+
+  const customer = data.data?.customer;
+  const profiles = customer?.companyContactProfiles || [];
+  return profiles.flatMap(profile =>
+    profile.roleAssignments.nodes
+      .filter(assignment => assignment.companyLocation)
+      .map(assignment => ({
+        id: assignment.companyLocation.id,
+        name: assignment.companyLocation.name,
+        companyId: profile.company.id,
+        companyName: profile.company.name,
+        contactId: profile.id,
+        customerName: customer.displayName,
+      }))
+  );
+}
+
+// Resolve the requested location, making sure the customer actually belongs to it.
+// Returns null for non-B2B customers; throws when the location is not theirs.
+export async function resolveCompanyLocation(admin, customerId, requestedLocationId) {
+  if (!customerId || customerId === "null" || !requestedLocationId) {
+    return null;
+  }
+
+  const locations = await getCustomerCompanyLocations(admin, customerId);
+  const requestedId = toNumericId(requestedLocationId);
+  const location = locations.find(candidate => toNumericId(candidate.id) === requestedId);
+
+  if (!location) {
+    const error = new Error("Customer does not have access to this company location");
+    error.status = 403;
+    throw error;
+  }
+
+  return location;
+}
@@ -0,0 +1,92 @@
+// app/services/customerMetafields.server.js
+// Read/write JSON metafields in the customer's quick_order namespace
+import { toGid } from "./appProxy.server";
+
+export const QUICK_ORDER_NAMESPACE = "quick_order";
+
+// Returns the parsed JSON value, or null when the metafield is not set
+export async function getCustomerMetafield(admin, customerId, key) {
+  const response = await admin.graphql(
+    `#graphql
+      query getQuickOrderCustomerMetafield($customerId: ID!, $namespace: String!, $key: String!) {
+        customer(id: $customerId) {
+          id
+          metafield(namespace: $namespace, key: $key) {
+            id
+            value
+          }
+        }
+      }`,
+    {
+      variables: {
+        customerId: toGid("Customer", customerId),
+        namespace: QUICK_ORDER_NAMESPACE,
+        key,
+      },
+    }
+  );
+
+  const data = await response.json();
+  if (data.errors) {
+    throw new Error(`Failed to fetch metafield ${key}: ${JSON.stringify(data.errors)}`);
+  }
+
+  const customer = data.data?.customer;
+  if (!customer) {
+    const error = new Error("Customer not found");
+    error.status = 404;
+    throw error;
+  }
+
+  if (!customer.metafield?.value) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(customer.metafield.value);
+  } catch (parseError) {
+    console.error(`❌ Error parsing ${QUICK_ORDER_NAMESPACE}.${key} JSON:`, parseError);
+    return null;
+  }
+}
+
+// Stores a JSON value, creating the metafield when needed
+export async function setCustomerMetafield(admin, customerId, key, value) {
+  const response = await admin.graphql(
+    `#graphql
+      mutation setQuickOrderCustomerMetafield($metafields: [MetafieldsSetInput!]!) {
+        metafieldsSet(metafields: $metafields) {
+          metafields {
+            id
+            key
+            updatedAt
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }`,
+    {
+      variables: {
+        metafields: [
+          {
+            ownerId: toGid("Customer", customerId),
+            namespace: QUICK_ORDER_NAMESPACE,
+            key,
+            type: "json",
+            value: JSON.stringify(value),
+          },
+        ],
+      },
+    }
+  );
+
+  const data = await response.json();
+  const userErrors = data.data?.metafieldsSet?.userErrors || [];
+  if (data.errors || userErrors.length > 0) {
+    throw new Error(`Failed to save metafield ${key}: ${JSON.stringify(data.errors || userErrors)}`);
+  }
+
+  return data.data.metafieldsSet.metafields[0];
+}
@@ -0,0 +1,297 @@
+// app/services/orderHistory.server.js
+// The storefront customer's recent orders with reorderable line items.
+// Note: without the read_all_orders scope Shopify only returns the last 60 days of orders.
+import { toGid, toNumericId } from "./appProxy.server";
+
+// Each order costs about 80 Admin API points with its first ORDER_LINES_PAGE_SIZE lines,
+// which keeps a page of orders under the limit of 1000 per query. Further lines are loaded
+// with getOrderLines when the customer opens or reorders the order.
+export const MAX_ORDERS_PAGE_SIZE = 10;
+const ORDER_LINES_PAGE_SIZE = 25;
+const MAX_ORDER_LINES_PAGE_SIZE = 100;
+// Purchase stats read 10 orders per call with their first 25 lines (about 780 points);
+// orders with more lines page through the rest separately
+const STATS_PAGE_SIZE = 10;
+const STATS_LINES_PAGE_SIZE = 25;
+const MAX_STATS_ORDERS = 250;
+
+// Why a line cannot be reordered, or "available"
+function getLineStatus(lineItem) {
+  const variant = lineItem.variant;
+  if (!variant || variant.product?.status !== "ACTIVE") {
+    return "discontinued";
+  }
+  if (!variant.availableForSale) {
+    return "out_of_stock";
+  }
+  return "available";
+}
+
+const LINE_ITEM_FIELDS = `#graphql
+  fragment QuickOrderLineItem on LineItem {
+    id
+    name
+    sku
+    quantity
+    variant {
+      id
+      sku
+      availableForSale
+      product { status }
+    }
+  }
+`;
+
+function formatLine(lineItem) {
+  return {
+    id: toNumericId(lineItem.id),
+    title: lineItem.name,
+    sku: lineItem.variant?.sku || lineItem.sku || "",
+    quantity: lineItem.quantity,
+    variantId: toNumericId(lineItem.variant?.id),
+    status: getLineStatus(lineItem),
+  };
+}
+
+export function formatOrder(order) {
+  return {
+    id: toNumericId(order.id),
+    name: order.name,
+    createdAt: order.createdAt,
+    financialStatus: order.displayFinancialStatus,
+    fulfillmentStatus: order.displayFulfillmentStatus,
+    total: order.totalPriceSet?.shopMoney || null,
+    itemCount: order.subtotalLineItemsQuantity,
+    lines: (order.lineItems?.nodes || []).map(formatLine),
+    linesPageInfo: order.lineItems?.pageInfo || { hasNextPage: false, endCursor: null },
+  };
+}
+
+export async function getCustomerOrders(admin, customerId, { first = 10, after = null } = {}) {
+  const response = await admin.graphql(
+    `#graphql
+      ${LINE_ITEM_FIELDS}
+      query quickOrderCustomerOrders($customerId: ID!, $first: Int!, $after: String, $linesFirst: Int!) {
+        customer(id: $customerId) {
+          id
+          orders(first: $first, after: $after, sortKey: CREATED_AT, reverse: true) {
+            pageInfo { hasNextPage endCursor }
+            nodes {
+              id
+              name
+              createdAt
+              displayFinancialStatus
+              displayFulfillmentStatus
+              subtotalLineItemsQuantity
+              totalPriceSet { shopMoney { amount currencyCode } }
+              lineItems(first: $linesFirst) {
+                pageInfo { hasNextPage endCursor }
+                nodes { ...QuickOrderLineItem }
+              }
+            }
+          }
+        }
+      }`,
+    {
+      variables: {
+        customerId: toGid("Customer", customerId),
+        first: Math.min(Math.max(parseInt(first) || 10, 1), MAX_ORDERS_PAGE_SIZE),
+        after: after || null,
+        linesFirst: ORDER_LINES_PAGE_SIZE,
+      },
+    }
+  );
+
+  const data = await response.json();
+  if (data.errors) {
+    throw new Error(`Failed to fetch orders: ${JSON.stringify(data.errors)}`);
+  }
+
+  const customer = data.data?.customer;
+  if (!customer) {
+    const error = new Error("Customer not found");
+    error.status = 404;
+    throw error;
+  }
+
+  return {
+    orders: customer.orders.nodes.map(formatOrder),
+    pageInfo: customer.orders.pageInfo,
+  };
+}
+
+// The next page of one of the customer's orders' lines, for orders with more than getCustomerOrders returns
+export async function getOrderLines(admin, customerId, orderId, { after = null } = {}) {
+  const response = await admin.graphql(
+    `#graphql
+      ${LINE_ITEM_FIELDS}
+      query quickOrderOrderLines($orderId: ID!, $first: Int!, $after: String) {
+        order(id: $orderId) {
+          id
+          customer { id }
+          lineItems(first: $first, after: $after) {
+            pageInfo { hasNextPage endCursor }
+            nodes { ...QuickOrderLineItem }
+          }
+        }
+      }`,
+    {
+      variables: {
+        orderId: toGid("Order", orderId),
+        first: MAX_ORDER_LINES_PAGE_SIZE,
+        after: after || null,
+      },
+    }
+  );
+
+  const data = await response.json();
+  if (data.errors) {
+    throw new Error(`Failed to fetch order lines: ${JSON.stringify(data.errors)}`);
+  }
+
+  // Someone else's order is reported the same as a missing one
+  const order = data.data?.order;
+  if (!order || toNumericId(order.customer?.id) !== toNumericId(customerId)) {
+    const error = new Error("Order not found");
+    error.status = 404;
+    throw error;
+  }
+
+  return {
+    lines: order.lineItems.nodes.map(formatLine),
+    pageInfo: order.lineItems.pageInfo,
+  };
+}
+
+// Add one order's line to a { orderCount, quantity, lastOrderedAt } entry. Orders arrive
+// newest first, so the first time an entry is seen sets its last-ordered date.
+function addToStats(stats, key, orderId, quantity, createdAt) {
+  const entry = stats[key] || (stats[key] = { orderCount: 0, quantity: 0, lastOrderedAt: createdAt, orders: new Set() });
+  entry.quantity += quantity;
+  if (!entry.orders.has(orderId)) {
+    entry.orders.add(orderId);
+    entry.orderCount += 1;
+  }
+}
+
+function withoutOrderSets(stats) {
+  return Object.fromEntries(
+    Object.entries(stats).map(([key, { orders, ...entry }]) => [key, entry])
+  );
+}
+
+const STATS_LINE_FIELDS = `#graphql
+  fragment QuickOrderStatsLine on LineItem {
+    quantity
+    variant {
+      id
+      product { id }
+    }
+  }
+`;
+
+// The lines of an order past the ones the purchase stats query returned
+async function getRemainingStatsLines(admin, order) {
+  const lines = [];
+  let pageInfo = order.lineItems.pageInfo;
+
+  while (pageInfo.hasNextPage) {
+    const response = await admin.graphql(
+      `#graphql
+        ${STATS_LINE_FIELDS}
+        query quickOrderPurchaseStatsLines($orderId: ID!, $first: Int!, $after: String) {
+          order(id: $orderId) {
+            lineItems(first: $first, after: $after) {
+              pageInfo { hasNextPage endCursor }
+              nodes { ...QuickOrderStatsLine }
+            }
+          }
+        }`,
+      { variables: { orderId: order.id, first: MAX_ORDER_LINES_PAGE_SIZE, after: pageInfo.endCursor } }
+    );
+
+    const data = await response.json();
+    if (data.errors) {
+      throw new Error(`Failed to fetch purchase history: ${JSON.stringify(data.errors)}`);
+    }
+    if (!data.data?.order) break;
+    lines.push(...data.data.order.lineItems.nodes);
+    pageInfo = data.data.order.lineItems.pageInfo;
+  }
+
+  return lines;
+}
+
+// Per-variant and per-product purchase frequency across the customer's most recent orders,
+// used to sort the quick order table by "frequently" and "recently" ordered
+export async function getCustomerPurchaseStats(admin, customerId, { maxOrders = MAX_STATS_ORDERS } = {}) {
+  const variants = {};
+  const products = {};
+  let after = null;
+  let orderCount = 0;
+
+  do {
+    const response = await admin.graphql(
+      `#graphql
+        ${STATS_LINE_FIELDS}
+        query quickOrderPurchaseStats($customerId: ID!, $first: Int!, $after: String, $linesFirst: Int!) {
+          customer(id: $customerId) {
+            id
+            orders(first: $first, after: $after, sortKey: CREATED_AT, reverse: true) {
+              pageInfo { hasNextPage endCursor }
+              nodes {
+                id
+                createdAt
+                lineItems(first: $linesFirst) {
+                  pageInfo { hasNextPage endCursor }
+                  nodes { ...QuickOrderStatsLine }
+                }
+              }
+            }
+          }
+        }`,
+      {
+        variables: {
+          customerId: toGid("Customer", customerId),
+          first: Math.min(STATS_PAGE_SIZE, maxOrders - orderCount),
+          after,
+          linesFirst: STATS_LINES_PAGE_SIZE,
+        },
+      }
+    );
+
+    const data = await response.json();
+    if (data.errors) {
+      throw new Error(`Failed to fetch purchase history: ${JSON.stringify(data.errors)}`);
+    }
+
+    const customer = data.data?.customer;
+    if (!customer) {
+      const error = new Error("Customer not found");
+      error.status = 404;
+      throw error;
+    }
+
+    for (const order of customer.orders.nodes) {
+      const lineItems = [...order.lineItems.nodes, ...await getRemainingStatsLines(admin, order)];
+      lineItems
+        .filter(lineItem => lineItem.variant)
+        .forEach(lineItem => {
+          const variantId = toNumericId(lineItem.variant.id);
+          const productId = toNumericId(lineItem.variant.product.id);
+          addToStats(variants, variantId, order.id, lineItem.quantity, order.createdAt);
+          addToStats(products, productId, order.id, lineItem.quantity, order.createdAt);
+          variants[variantId].productId = productId;
+        });
+    }
+
+    orderCount += customer.orders.nodes.length;
+    after = customer.orders.pageInfo.hasNextPage ? customer.orders.pageInfo.endCursor : null;
+  } while (after && orderCount < maxOrders);
+
+  return {
+    variants: withoutOrderSets(variants),
+    products: withoutOrderSets(products),
+    orderCount,
+  };
+}
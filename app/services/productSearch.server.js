@@ -0,0 +1,627 @@
+// app/services/productSearch.server.js
+// Product/variant search for the storefront quick order table. Results are shaped
+// like the Liquid-rendered rows (numeric ids, prices in cents) so the theme script
+// can render them without knowing about the Admin API. When a B2B company location
+// is given, products outside its catalog are dropped and prices come from its price list.
+import { toGid, toNumericId } from "./appProxy.server";
+
+// The Admin API rejects queries asking for more than 1000 points. One QuickOrderProduct
+// costs about 53 (20 variants, 5 collections, the image), so a call asks for at most
+// MAX_PAGE_SIZE products and larger storefront pages are filled with several calls.
+export const MAX_PAGE_SIZE = 15;
+// The largest "products per page" setting
+const MAX_RESULTS_PER_PAGE = 50;
+const MAX_LOOKUP_SIZE = 100;
+// Variants listed per product; past the fragment's 20 the rest load 100 per call
+const MAX_VARIANTS_PER_PRODUCT = 250;
+// Variants per price and rule lookup. Each one costs about 28 points with B2B price breaks
+// and 3 without, against the Admin API's limit of 1000 points per query.
+const MAX_CATALOG_DETAILS_SIZE = 30;
+const MAX_DETAILS_SIZE = 250;
+// Extra Admin calls made to fill one page of a B2B catalog
+const MAX_CATALOG_REQUESTS = 5;
+// Price and SKU sorts, which Shopify cannot do with cursors, cover at most this many matches
+const MAX_SORTED_RESULTS = 250;
+
+// "relevance" and "title" map to product sort keys; the rest are sorted in memory
+export const SORT_OPTIONS = ["relevance", "title", "price", "sku", "frequent", "recent"];
+export const PURCHASE_SORTS = ["frequent", "recent"];
+
+const VARIANT_FIELDS = `#graphql
+  fragment QuickOrderVariant on ProductVariant {
+    id
+    title
+    sku
+    barcode
+    price
+    availableForSale
+    inventoryQuantity
+    inventoryPolicy
+    inventoryItem { tracked }
+  }
+`;
+
+const PRODUCT_FIELDS = `#graphql
+  ${VARIANT_FIELDS}
+  fragment QuickOrderProduct on Product {
+    id
+    title
+    handle
+    vendor
+    onlineStoreUrl
+    hasOnlyDefaultVariant
+    publishedInContext(context: { companyLocationId: $companyLocationId }) @include(if: $hasCompanyLocation)
+    featuredMedia {
+      preview {
+        image {
+          url(transform: { maxWidth: 160, maxHeight: 160 })
+          altText
+        }
+      }
+    }
+    collections(first: 5) {
+      nodes { handle }
+    }
+    variants(first: 20) {
+      pageInfo { hasNextPage endCursor }
+      nodes { ...QuickOrderVariant }
+    }
+  }
+`;
+
+// Prices, price breaks and quantity rules are looked up separately, only for the variants
+// that end up on the page, since they multiply the cost of every product in a search
+const VARIANT_DETAIL_FIELDS = `#graphql
+  fragment QuickOrderVariantDetails on ProductVariant {
+    id
+    priceTiers: metafield(namespace: "quick_order", key: "price_tiers") { jsonValue }
+    quantityRule: metafield(namespace: "quick_order", key: "quantity_rule") { jsonValue }
+    contextualPricing(context: { companyLocationId: $companyLocationId }) @include(if: $hasCompanyLocation) {
+      price { amount }
+      quantityRule { minimum maximum increment }
+      quantityPriceBreaks(first: 10) {
+        nodes {
+          minimumQuantity
+          price { amount }
+        }
+      }
+    }
+  }
+`;
+
+// Escape a single search term for Shopify's search syntax
+function escapeTerm(term) {
+  return term.replace(/[\\"]/g, "\\$&");
+}
+
+// Build the Admin search query: one term matched against title, SKU, barcode, vendor and tag
+export function buildSearchQuery({ term = "", collectionId = null, skus = [], productIds = null, excludeProductIds = [] } = {}) {
+  const clauses = ["status:active", "published_status:published"];
+  const trimmed = term.trim();
+
+  if (trimmed) {
+    const escaped = escapeTerm(trimmed);
+    // Prefix wildcards only work on unquoted terms without search syntax characters
+    const fieldMatches = /[\s:()]/.test(trimmed)
+      ? [`"${escaped}"`, `title:"${escaped}"`, `sku:"${escaped}"`, `barcode:"${escaped}"`, `vendor:"${escaped}"`, `tag:"${escaped}"`]
+      : [`${escaped}*`, `title:${escaped}*`, `sku:${escaped}*`, `barcode:${escaped}`, `vendor:${escaped}*`, `tag:${escaped}`];
+    clauses.push(`(${fieldMatches.join(" OR ")})`);
+  }
+
+  if (collectionId) {
+    clauses.push(`collection_id:${toNumericId(collectionId)}`);
+  }
+
+  if (skus.length > 0) {
+    clauses.push(`(${skus.map(sku => `sku:"${escapeTerm(sku)}"`).join(" OR ")})`);
+  }
+
+  // Restrict to specific products, e.g. the ones a customer has ordered before
+  if (productIds) {
+    clauses.push(productIds.length > 0
+      ? `(${productIds.map(id => `id:${toNumericId(id)}`).join(" OR ")})`
+      : "id:0");
+  }
+
+  // ...or leave them out, e.g. to list everything else after them
+  excludeProductIds.forEach(id => clauses.push(`-id:${toNumericId(id)}`));
+
+  return clauses.join(" AND ");
+}
+
+function toCents(amount) {
+  return Math.round(parseFloat(amount || 0) * 100);
+}
+
+// Volume price breaks in the shape the theme reads from data-price-tiers:
+// [{ min_quantity, price_cents }]. B2B price list breaks win over the variant metafield,
+// which merchants fill as [{ "min_quantity": 10, "price": "9.50" }]. Checkout only applies
+// price list breaks, so metafield tiers are `indicative` and left out of the theme's totals.
+export function formatPriceTiers(variant) {
+  const priceBreaks = variant.contextualPricing?.quantityPriceBreaks?.nodes || [];
+  const tiers = priceBreaks.length > 0
+    ? priceBreaks.map(priceBreak => ({ min_quantity: priceBreak.minimumQuantity, price_cents: toCents(priceBreak.price.amount) }))
+    : (Array.isArray(variant.priceTiers?.jsonValue) ? variant.priceTiers.jsonValue : []).map(tier => ({
+        min_quantity: parseInt(tier.min_quantity ?? tier.minimum_quantity ?? tier.min, 10),
+        price_cents: tier.price_cents ?? toCents(tier.price),
+        indicative: true,
+      }));
+
+  return tiers
+    .filter(tier => tier.min_quantity > 1 && Number.isFinite(tier.price_cents))
+    .sort((a, b) => a.min_quantity - b.min_quantity);
+}
+
+// Quantity rule as rendered into data-qty-min/max/increment. The B2B rule wins unless it
+// is the default (min 1, increment 1, no max); then the quick_order.quantity_rule metafield
+// ({ "min": 24, "increment": 12, "max": 240 }) applies.
+export function formatQuantityRule(variant) {
+  const b2bRule = variant.contextualPricing?.quantityRule;
+  const isDefaultRule = !b2bRule || (b2bRule.minimum === 1 && b2bRule.increment === 1 && b2bRule.maximum == null);
+
+  if (!isDefaultRule) {
+    return { min: b2bRule.minimum, max: b2bRule.maximum ?? null, increment: b2bRule.increment };
+  }
+
+  const metafieldRule = variant.quantityRule?.jsonValue;
+  if (metafieldRule && typeof metafieldRule === "object") {
+    return {
+      min: parseInt(metafieldRule.min, 10) || 1,
+      max: parseInt(metafieldRule.max, 10) || null,
+      increment: parseInt(metafieldRule.increment, 10) || 1,
+    };
+  }
+
+  return { min: 1, max: null, increment: 1 };
+}
+
+// Shape an Admin product node like the attributes quick-order-list.liquid renders.
+// `variantDetails` maps variant ids to their QuickOrderVariantDetails.
+export function formatProduct(product, variantDetails = new Map()) {
+  const variants = (product.variants?.nodes || []).map(node => ({ ...node, ...variantDetails.get(node.id) })).map(variant => ({
+    id: toNumericId(variant.id),
+    title: variant.title,
+    sku: variant.sku || "",
+    barcode: variant.barcode || "",
+    price: toCents(variant.contextualPricing?.price?.amount ?? variant.price),
+    priceTiers: formatPriceTiers(variant),
+    quantityRule: formatQuantityRule(variant),
+    available: variant.availableForSale,
+    inventoryManagement: variant.inventoryItem?.tracked ? "shopify" : "",
+    inventoryQuantity: variant.inventoryQuantity,
+    inventoryPolicy: variant.inventoryPolicy,
+  }));
+  const prices = variants.map(variant => variant.price);
+  const image = product.featuredMedia?.preview?.image;
+
+  return {
+    id: toNumericId(product.id),
+    title: product.title,
+    handle: product.handle,
+    vendor: product.vendor,
+    url: product.onlineStoreUrl || `/products/${product.handle}`,
+    image: image ? { url: image.url, alt: image.altText || product.title } : null,
+    collections: (product.collections?.nodes || []).map(collection => collection.handle),
+    hasOnlyDefaultVariant: product.hasOnlyDefaultVariant,
+    priceMin: prices.length ? Math.min(...prices) : 0,
+    priceMax: prices.length ? Math.max(...prices) : 0,
+    variants,
+  };
+}
+
+// Variables shared by every query using the QuickOrderProduct or QuickOrderVariantDetails fragment
+function getContextVariables(companyLocationId) {
+  return {
+    companyLocationId: companyLocationId ? toGid("CompanyLocation", companyLocationId) : null,
+    hasCompanyLocation: Boolean(companyLocationId),
+  };
+}
+
+// Prices, price breaks and quantity rules of the given variants, by variant id
+async function loadVariantDetails(admin, variantIds, companyLocationId) {
+  const batchSize = companyLocationId ? MAX_CATALOG_DETAILS_SIZE : MAX_DETAILS_SIZE;
+  const details = new Map();
+
+  for (let start = 0; start < variantIds.length; start += batchSize) {
+    const response = await admin.graphql(
+      `#graphql
+        ${VARIANT_DETAIL_FIELDS}
+        query quickOrderVariantDetails($ids: [ID!]!, $companyLocationId: ID, $hasCompanyLocation: Boolean!) {
+          nodes(ids: $ids) {
+            ...QuickOrderVariantDetails
+          }
+        }`,
+      { variables: { ids: variantIds.slice(start, start + batchSize), ...getContextVariables(companyLocationId) } }
+    );
+
+    const data = await response.json();
+    if (data.errors) {
+      throw new Error(`Variant pricing lookup failed: ${JSON.stringify(data.errors)}`);
+    }
+    (data.data.nodes || []).forEach(node => node && details.set(node.id, node));
+  }
+
+  return details;
+}
+
+// Load the rest of a product's variants into its node
+async function loadRemainingVariants(admin, product) {
+  let pageInfo = product.variants.pageInfo;
+
+  while (pageInfo.hasNextPage && product.variants.nodes.length < MAX_VARIANTS_PER_PRODUCT) {
+    const response = await admin.graphql(
+      `#graphql
+        ${VARIANT_FIELDS}
+        query quickOrderProductVariants($id: ID!, $after: String) {
+          product(id: $id) {
+            variants(first: 100, after: $after) {
+              pageInfo { hasNextPage endCursor }
+              nodes { ...QuickOrderVariant }
+            }
+          }
+        }`,
+      { variables: { id: product.id, after: pageInfo.endCursor } }
+    );
+
+    const data = await response.json();
+    if (data.errors) {
+      throw new Error(`Variant lookup failed: ${JSON.stringify(data.errors)}`);
+    }
+    const variants = data.data.product?.variants;
+    if (!variants) break;
+    product.variants.nodes.push(...variants.nodes);
+    pageInfo = variants.pageInfo;
+  }
+}
+
+// Format product nodes with all their variants and the variants' pricing
+async function formatProducts(admin, products, companyLocationId) {
+  for (const product of products) {
+    if (product.variants?.pageInfo?.hasNextPage) {
+      await loadRemainingVariants(admin, product);
+    }
+  }
+
+  const variantIds = products.flatMap(product => (product.variants?.nodes || []).map(variant => variant.id));
+  const variantDetails = await loadVariantDetails(admin, variantIds, companyLocationId);
+  return products.map(product => formatProduct(product, variantDetails));
+}
+
+// publishedInContext is only queried for B2B buyers; everyone else sees the public catalog
+function isInCatalog(product) {
+  return product.publishedInContext !== false;
+}
+
+// One page of raw product edges; the edge cursors let catalog-filtered pages end after any product
+async function fetchProductPage(admin, { query, first, after, sortKey, companyLocationId, withCount = false }) {
+  const response = await admin.graphql(
+    `#graphql
+      ${PRODUCT_FIELDS}
+      query quickOrderProductSearch($query: String!, $first: Int!, $after: String, $sortKey: ProductSortKeys!, $companyLocationId: ID, $hasCompanyLocation: Boolean!, $withCount: Boolean!) {
+        products(first: $first, after: $after, query: $query, sortKey: $sortKey) {
+          pageInfo { hasNextPage endCursor }
+          edges {
+            cursor
+            node { ...QuickOrderProduct }
+          }
+        }
+        productsCount(query: $query) @include(if: $withCount) { count }
+      }`,
+    {
+      variables: {
+        query,
+        first,
+        after: after || null,
+        sortKey,
+        withCount,
+        ...getContextVariables(companyLocationId),
+      },
+    }
+  );
+
+  const data = await response.json();
+  if (data.errors) {
+    throw new Error(`Product search failed: ${JSON.stringify(data.errors)}`);
+  }
+
+  return {
+    edges: data.data.products.edges,
+    pageInfo: data.data.products.pageInfo,
+    count: data.data.productsCount?.count ?? null,
+  };
+}
+
+// A page takes one Admin call per MAX_PAGE_SIZE products, and Shopify counts the matches.
+// With a company location, products outside the catalog are dropped, so the page is refilled
+// from the following products (up to MAX_CATALOG_REQUESTS more calls) and ends at the cursor
+// of the last product returned. Shopify can't count a catalog's matches, so totalCount is null then.
+async function queryProducts(admin, { query, first, after, sortKey, companyLocationId }) {
+  const products = [];
+  const maxRequests = Math.ceil(first / MAX_PAGE_SIZE) + (companyLocationId ? MAX_CATALOG_REQUESTS : 0);
+  let cursor = after || null;
+  let hasNextPage = true;
+  let count = null;
+  for (let request = 0; request < maxRequests && hasNextPage && products.length < first; request++) {
+    const page = await fetchProductPage(admin, {
+      query,
+      first: companyLocationId ? MAX_PAGE_SIZE : Math.min(first - products.length, MAX_PAGE_SIZE),
+      after: cursor,
+      sortKey,
+      companyLocationId,
+      withCount: !companyLocationId && request === 0,
+    });
+    hasNextPage = page.pageInfo.hasNextPage;
+    count = count ?? page.count;
+
+    for (const edge of page.edges) {
+      if (products.length === first) {
+        hasNextPage = true;
+        break;
+      }
+      cursor = edge.cursor;
+      if (isInCatalog(edge.node)) {
+        products.push(edge.node);
+      }
+    }
+  }
+
+  return {
+    products: await formatProducts(admin, products, companyLocationId),
+    pageInfo: { hasNextPage, endCursor: hasNextPage ? cursor : null },
+    totalCount: companyLocationId ? null : count ?? products.length,
+  };
+}
+
+async function countProducts(admin, query) {
+  const response = await admin.graphql(
+    `#graphql
+      query quickOrderProductCount($query: String!) {
+        productsCount(query: $query) { count }
+      }`,
+    { variables: { query } }
+  );
+
+  const data = await response.json();
+  if (data.errors) {
+    throw new Error(`Product count failed: ${JSON.stringify(data.errors)}`);
+  }
+  return data.data.productsCount?.count ?? 0;
+}
+
+function compareText(a, b) {
+  // Empty values (e.g. products without a SKU) sort last
+  if (!a || !b) return (a ? 0 : 1) - (b ? 0 : 1);
+  return a.localeCompare(b, undefined, { numeric: true, sensitivity: "base" });
+}
+
+// Compare two formatted products for an in-memory sort. Purchase sorts put products the
+// customer never ordered after the ones they did, in title order.
+function compareProducts(sort, purchaseStats) {
+  const productStats = purchaseStats?.products || {};
+
+  return (a, b) => {
+    const statsA = productStats[a.id];
+    const statsB = productStats[b.id];
+    let result = 0;
+
+    switch (sort) {
+      case "price":
+        result = a.priceMin - b.priceMin;
+        break;
+      case "sku":
+        result = compareText(a.variants[0]?.sku, b.variants[0]?.sku);
+        break;
+      case "frequent":
+        result = (statsB?.orderCount || 0) - (statsA?.orderCount || 0) ||
+          (statsB?.quantity || 0) - (statsA?.quantity || 0);
+        break;
+      case "recent":
+        // Never-ordered products go last, then newest first
+        result = (statsB ? 1 : 0) - (statsA ? 1 : 0) ||
+          compareText(statsB?.lastOrderedAt, statsA?.lastOrderedAt);
+        break;
+    }
+
+    return result || compareText(a.title, b.title);
+  };
+}
+
+// The customer's ordered products, best first for a purchase sort (at most MAX_LOOKUP_SIZE)
+function rankPurchasedProducts(sort, purchaseStats) {
+  return Object.entries(purchaseStats?.products || {})
+    .sort(([, a], [, b]) => sort === "recent"
+      ? compareText(b.lastOrderedAt, a.lastOrderedAt)
+      : b.orderCount - a.orderCount || b.quantity - a.quantity)
+    .slice(0, MAX_LOOKUP_SIZE)
+    .map(([productId]) => productId);
+}
+
+// Cursors for in-memory sorted results, opaque to the storefront like Shopify's:
+// "offset:<n>" inside the sorted products and, for purchase sorts, "rest:<ordered count>:<cursor>"
+// once paging has moved on to the products the customer never ordered
+function encodeCursor(value) {
+  return Buffer.from(value).toString("base64");
+}
+
+function decodeOffsetCursor(cursor) {
+  const match = cursor ? Buffer.from(cursor, "base64").toString().match(/^offset:(\d+)$/) : null;
+  return match ? parseInt(match[1], 10) : 0;
+}
+
+function decodeRestCursor(cursor) {
+  const match = cursor ? Buffer.from(cursor, "base64").toString().match(/^rest:(\d+):(.*)$/) : null;
+  return match ? { orderedCount: parseInt(match[1], 10), after: match[2] || null } : null;
+}
+
+// Load matching products in title order (at most `limit`) and sort them in memory
+async function loadSortedProducts(admin, { query, companyLocationId, sort, purchaseStats, limit = Infinity }) {
+  const products = [];
+  let cursor = null;
+  do {
+    const page = await queryProducts(admin, { query, first: MAX_PAGE_SIZE, after: cursor, sortKey: "TITLE", companyLocationId });
+    products.push(...page.products);
+    cursor = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+  } while (cursor && products.length < limit);
+
+  return { products: products.sort(compareProducts(sort, purchaseStats)), isComplete: !cursor };
+}
+
+function offsetPage(products, after, pageSize) {
+  const offset = decodeOffsetCursor(after);
+  const end = offset + pageSize;
+  return {
+    products: products.slice(offset, end),
+    pageInfo: {
+      hasNextPage: end < products.length,
+      endCursor: end < products.length ? encodeCursor(`offset:${end}`) : null,
+    },
+    totalCount: products.length,
+  };
+}
+
+// Purchase sorts page through the customer's ordered products first (looked up by id, so at
+// most MAX_LOOKUP_SIZE of them), then everything else in title order straight from Shopify
+async function searchByPurchaseHistory(admin, { filters, pageSize, after, companyLocationId, sort, purchaseStats, orderedOnly }) {
+  const rankedIds = rankPurchasedProducts(sort, purchaseStats);
+  const restQuery = buildSearchQuery({ ...filters, excludeProductIds: rankedIds });
+  // Catalog-filtered searches can't be counted
+  const withRestCount = (orderedCount, restCount) => companyLocationId ? null : orderedCount + restCount;
+
+  const restCursor = decodeRestCursor(after);
+  if (restCursor && !orderedOnly) {
+    const page = await queryProducts(admin, { query: restQuery, first: pageSize, after: restCursor.after, sortKey: "TITLE", companyLocationId });
+    return {
+      products: page.products,
+      pageInfo: {
+        hasNextPage: page.pageInfo.hasNextPage,
+        endCursor: page.pageInfo.hasNextPage ? encodeCursor(`rest:${restCursor.orderedCount}:${page.pageInfo.endCursor}`) : null,
+      },
+      totalCount: withRestCount(restCursor.orderedCount, page.totalCount),
+    };
+  }
+
+  const ordered = rankedIds.length > 0
+    ? (await loadSortedProducts(admin, {
+        query: buildSearchQuery({ ...filters, productIds: rankedIds }),
+        companyLocationId,
+        sort,
+        purchaseStats,
+      })).products
+    : [];
+  const page = offsetPage(ordered, after, pageSize);
+  if (orderedOnly) return page;
+
+  if (page.pageInfo.hasNextPage) {
+    const restCount = companyLocationId ? 0 : await countProducts(admin, restQuery);
+    return { ...page, totalCount: withRestCount(ordered.length, restCount) };
+  }
+
+  // The ordered products run out on this page; fill it with the first of the rest
+  const remaining = pageSize - page.products.length;
+  const rest = remaining > 0
+    ? await queryProducts(admin, { query: restQuery, first: remaining, sortKey: "TITLE", companyLocationId })
+    : null;
+  const restCount = rest ? rest.totalCount : companyLocationId ? null : await countProducts(admin, restQuery);
+  const hasNextPage = rest ? rest.pageInfo.hasNextPage : restCount !== 0;
+
+  return {
+    products: [...page.products, ...(rest?.products || [])],
+    pageInfo: {
+      hasNextPage,
+      endCursor: hasNextPage ? encodeCursor(`rest:${ordered.length}:${rest?.pageInfo.endCursor || ""}`) : null,
+    },
+    totalCount: withRestCount(ordered.length, restCount),
+  };
+}
+
+// Search active products with cursor pagination. With a company location, pages are filled
+// from the catalog's products and totalCount is null (unknown).
+// Purchase sorts list the customer's ordered products first, then the rest in title order;
+// `orderedOnly` limits results to products in `purchaseStats`.
+// Shopify can't sort products by price or SKU, so those sorts load the first
+// MAX_SORTED_RESULTS matches in title order and sort them in memory. Larger result sets get
+// `sortLimit` in the response so the storefront can ask for a narrower search.
+export async function searchProducts(admin, {
+  term = "",
+  collectionId = null,
+  skus = [],
+  first = 10,
+  after = null,
+  companyLocationId = null,
+  sort = "relevance",
+  purchaseStats = null,
+  orderedOnly = false,
+} = {}) {
+  const pageSize = Math.min(Math.max(parseInt(first) || 10, 1), MAX_RESULTS_PER_PAGE);
+  const filters = { term, collectionId, skus };
+
+  if (PURCHASE_SORTS.includes(sort)) {
+    return searchByPurchaseHistory(admin, { filters, pageSize, after, companyLocationId, sort, purchaseStats, orderedOnly });
+  }
+
+  const productIds = orderedOnly ? rankPurchasedProducts("frequent", purchaseStats) : null;
+  const query = buildSearchQuery({ ...filters, productIds });
+
+  if (sort === "relevance" || sort === "title" || !SORT_OPTIONS.includes(sort)) {
+    return queryProducts(admin, {
+      query,
+      first: pageSize,
+      after,
+      sortKey: sort === "relevance" && term.trim() ? "RELEVANCE" : "TITLE",
+      companyLocationId,
+    });
+  }
+
+  const { products, isComplete } = await loadSortedProducts(admin, { query, companyLocationId, sort, limit: MAX_SORTED_RESULTS });
+  return {
+    ...offsetPage(products, after, pageSize),
+    ...(isComplete ? {} : { sortLimit: products.length }),
+  };
+}
+
+// Load the products owning specific variants (e.g. cart lines not rendered on the page).
+// The variants' product ids come first, then the products MAX_PAGE_SIZE at a time.
+export async function getProductsByVariantIds(admin, variantIds, { companyLocationId = null } = {}) {
+  const ids = [...new Set(variantIds)].slice(0, MAX_LOOKUP_SIZE).map(id => toGid("ProductVariant", id));
+  if (ids.length === 0) return [];
+
+  const response = await admin.graphql(
+    `#graphql
+      query quickOrderVariantProducts($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          ... on ProductVariant {
+            product { id }
+          }
+        }
+      }`,
+    { variables: { ids } }
+  );
+
+  const data = await response.json();
+  if (data.errors) {
+    throw new Error(`Variant lookup failed: ${JSON.stringify(data.errors)}`);
+  }
+
+  const productIds = [...new Set((data.data.nodes || []).map(node => node?.product?.id).filter(Boolean))];
+  const products = [];
+  for (let start = 0; start < productIds.length; start += MAX_PAGE_SIZE) {
+    const productResponse = await admin.graphql(
+      `#graphql
+        ${PRODUCT_FIELDS}
+        query quickOrderVariantLookup($ids: [ID!]!, $companyLocationId: ID, $hasCompanyLocation: Boolean!) {
+          nodes(ids: $ids) {
+            ... on Product { ...QuickOrderProduct }
+          }
+        }`,
+      { variables: { ids: productIds.slice(start, start + MAX_PAGE_SIZE), ...getContextVariables(companyLocationId) } }
+    );
+
+    const productData = await productResponse.json();
+    if (productData.errors) {
+      throw new Error(`Variant lookup failed: ${JSON.stringify(productData.errors)}`);
+    }
+    products.push(...(productData.data.nodes || []).filter(product => product && isInCatalog(product)));
+  }
+
+  return formatProducts(admin, products, companyLocationId);
+}
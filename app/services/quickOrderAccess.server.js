@@ -0,0 +1,72 @@
+// app/services/quickOrderAccess.server.js
+// Enforces the access rules from the Settings page on the app-proxy routes, mirroring the
+// eligibility check the quick-order-list snippet does in Liquid
+import { toGid } from "./appProxy.server";
+import { DEFAULT_SETTINGS, SETTINGS_KEY, SETTINGS_NAMESPACE, sanitizeSettings } from "./quickOrderSettings.server";
+
+function accessError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// A customer is eligible when any rule matches: a tag, a B2B company or the email allow-list.
+// Rule values are stored lowercased.
+export function isCustomerEligible(access, customer) {
+  if (access.mode !== "restricted") return true;
+  if (!customer) return false;
+
+  if (access.allowB2B && customer.companyContactProfiles.length > 0) return true;
+  if (customer.tags.some(tag => access.customerTags.includes(tag.toLowerCase()))) return true;
+
+  const email = (customer.email || "").toLowerCase();
+  return Boolean(email) && access.allowedEmails.includes(email);
+}
+
+// Throws a 403 error when the shop restricts quick order and the customer is not eligible.
+// Returns the shop's quick order settings so routes don't have to load them again.
+export async function requireQuickOrderAccess(admin, customerId) {
+  const hasCustomer = Boolean(customerId) && customerId !== "null";
+  const response = await admin.graphql(
+    `#graphql
+      query quickOrderAccess($namespace: String!, $key: String!, $customerId: ID!, $hasCustomer: Boolean!) {
+        currentAppInstallation {
+          metafield(namespace: $namespace, key: $key) {
+            jsonValue
+          }
+        }
+        customer(id: $customerId) @include(if: $hasCustomer) {
+          id
+          email
+          tags
+          companyContactProfiles { id }
+        }
+      }`,
+    {
+      variables: {
+        namespace: SETTINGS_NAMESPACE,
+        key: SETTINGS_KEY,
+        customerId: hasCustomer ? toGid("Customer", customerId) : "gid://shopify/Customer/0",
+        hasCustomer,
+      },
+    }
+  );
+
+  const data = await response.json();
+  if (data.errors) {
+    throw new Error(`Access check failed: ${JSON.stringify(data.errors)}`);
+  }
+
+  const settings = sanitizeSettings(data.data.currentAppInstallation.metafield?.jsonValue || DEFAULT_SETTINGS);
+  const { access } = settings;
+  if (access.mode !== "restricted") return settings;
+
+  if (!hasCustomer) {
+    throw accessError("Log in with a wholesale account to use quick order", 401);
+  }
+  if (!isCustomerEligible(access, data.data.customer)) {
+    console.log(`🚫 Customer ${customerId} is not eligible for quick order`);
+    throw accessError(access.deniedMessage, 403);
+  }
+  return settings;
+}
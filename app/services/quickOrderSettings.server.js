@@ -0,0 +1,171 @@
+// app/services/quickOrderSettings.server.js
+// Store-specific quick order page settings, kept in an app-owned metafield on the app
+// installation so the theme extension can read them in Liquid as app.metafields.quick_order.settings
+export const SETTINGS_NAMESPACE = "quick_order";
+export const SETTINGS_KEY = "settings";
+
+export const DEFAULT_SETTINGS = {
+  title: "Quick Order",
+  productsPerPage: 10,
+  columns: {
+    status: true,
+    price: true,
+    subtotal: true,
+  },
+  redirectGuestsToLogin: true,
+  // Guests can build a quick order kept in their browser (only while access is open to
+  // all customers). When they log in it is combined with their saved cart: "sum" adds the
+  // quantities, "max" keeps the larger one, "replace" keeps only the guest's lines and "ask"
+  // lets the buyer choose.
+  guestCarts: {
+    enabled: false,
+    mergeStrategy: "sum",
+  },
+  // Carts are stored in the app database; the quick_order.cart_data customer metafield
+  // can still be kept up to date for themes and integrations that read it
+  mirrorCartToMetafield: true,
+  // Registers a service worker that caches the quick order page and catalog so buyers can
+  // keep building an order without a connection
+  offlineCatalog: false,
+  // Adds a shared cart per B2B company location to the cart switcher; every contact of the
+  // location can edit it and each line shows who added it
+  sharedCompanyCarts: false,
+  // Who may use the quick order page: "all" logged-in customers, or only "restricted"
+  // customers matching a tag, a B2B company or the email allow-list
+  access: {
+    mode: "all",
+    customerTags: [],
+    allowB2B: true,
+    allowedEmails: [],
+    deniedMessage: "Quick order is available to approved wholesale customers only.",
+    showRequestForm: true,
+  },
+};
+
+export const ACCESS_MODES = ["all", "restricted"];
+export const GUEST_MERGE_STRATEGIES = ["sum", "max", "replace", "ask"];
+
+const MIN_PRODUCTS_PER_PAGE = 5;
+const MAX_PRODUCTS_PER_PAGE = 50;
+const MAX_TITLE_LENGTH = 100;
+const MAX_TAGS = 50;
+const MAX_ALLOWED_EMAILS = 500;
+const MAX_MESSAGE_LENGTH = 1000;
+
+function toBoolean(value, fallback) {
+  if (typeof value === "boolean") return value;
+  if (value === "true" || value === "on") return true;
+  if (value === "false" || value === "off") return false;
+  return fallback;
+}
+
+// Accepts an array or a comma/newline separated string; values are lowercased so Liquid
+// and the proxy routes can compare them without caring about case
+function toList(value, limit) {
+  const values = Array.isArray(value) ? value : String(value ?? "").split(/[\n,]/);
+  return [...new Set(values.map(item => String(item).trim().toLowerCase()).filter(Boolean))].slice(0, limit);
+}
+
+function sanitizeAccess(access = {}) {
+  const defaults = DEFAULT_SETTINGS.access;
+  return {
+    mode: ACCESS_MODES.includes(access.mode) ? access.mode : defaults.mode,
+    customerTags: toList(access.customerTags, MAX_TAGS),
+    allowB2B: toBoolean(access.allowB2B, defaults.allowB2B),
+    allowedEmails: toList(access.allowedEmails, MAX_ALLOWED_EMAILS),
+    deniedMessage: String(access.deniedMessage ?? "").trim().slice(0, MAX_MESSAGE_LENGTH) || defaults.deniedMessage,
+    showRequestForm: toBoolean(access.showRequestForm, defaults.showRequestForm),
+  };
+}
+
+function sanitizeGuestCarts(guestCarts = {}) {
+  const defaults = DEFAULT_SETTINGS.guestCarts;
+  return {
+    enabled: toBoolean(guestCarts.enabled, defaults.enabled),
+    mergeStrategy: GUEST_MERGE_STRATEGIES.includes(guestCarts.mergeStrategy)
+      ? guestCarts.mergeStrategy
+      : defaults.mergeStrategy,
+  };
+}
+
+// Fill missing values with defaults and clamp everything to what the storefront supports
+export function sanitizeSettings(settings = {}) {
+  const productsPerPage = parseInt(settings.productsPerPage, 10);
+  const columns = settings.columns || {};
+
+  return {
+    title: String(settings.title ?? "").trim().slice(0, MAX_TITLE_LENGTH) || DEFAULT_SETTINGS.title,
+    productsPerPage: Number.isFinite(productsPerPage)
+      ? Math.min(Math.max(productsPerPage, MIN_PRODUCTS_PER_PAGE), MAX_PRODUCTS_PER_PAGE)
+      : DEFAULT_SETTINGS.productsPerPage,
+    columns: Object.fromEntries(
+      Object.entries(DEFAULT_SETTINGS.columns).map(([column, fallback]) => [column, toBoolean(columns[column], fallback)])
+    ),
+    redirectGuestsToLogin: toBoolean(settings.redirectGuestsToLogin, DEFAULT_SETTINGS.redirectGuestsToLogin),
+    guestCarts: sanitizeGuestCarts(settings.guestCarts),
+    mirrorCartToMetafield: toBoolean(settings.mirrorCartToMetafield, DEFAULT_SETTINGS.mirrorCartToMetafield),
+    offlineCatalog: toBoolean(settings.offlineCatalog, DEFAULT_SETTINGS.offlineCatalog),
+    sharedCompanyCarts: toBoolean(settings.sharedCompanyCarts, DEFAULT_SETTINGS.sharedCompanyCarts),
+    access: sanitizeAccess(settings.access),
+  };
+}
+
+export async function getQuickOrderSettings(admin) {
+  const response = await admin.graphql(
+    `#graphql
+      query quickOrderSettings($namespace: String!, $key: String!) {
+        currentAppInstallation {
+          id
+          metafield(namespace: $namespace, key: $key) {
+            jsonValue
+          }
+        }
+      }`,
+    { variables: { namespace: SETTINGS_NAMESPACE, key: SETTINGS_KEY } }
+  );
+
+  const data = await response.json();
+  if (data.errors) {
+    throw new Error(`Failed to load settings: ${JSON.stringify(data.errors)}`);
+  }
+
+  const installation = data.data.currentAppInstallation;
+  return {
+    appInstallationId: installation.id,
+    settings: sanitizeSettings(installation.metafield?.jsonValue || DEFAULT_SETTINGS),
+  };
+}
+
+export async function saveQuickOrderSettings(admin, appInstallationId, settings) {
+  const sanitized = sanitizeSettings(settings);
+  const response = await admin.graphql(
+    `#graphql
+      mutation quickOrderSettingsSave($metafields: [MetafieldsSetInput!]!) {
+        metafieldsSet(metafields: $metafields) {
+          metafields { id }
+          userErrors { field message }
+        }
+      }`,
+    {
+      variables: {
+        metafields: [
+          {
+            ownerId: appInstallationId,
+            namespace: SETTINGS_NAMESPACE,
+            key: SETTINGS_KEY,
+            type: "json",
+            value: JSON.stringify(sanitized),
+          },
+        ],
+      },
+    }
+  );
+
+  const data = await response.json();
+  const userErrors = data.data?.metafieldsSet?.userErrors || [];
+  if (data.errors || userErrors.length > 0) {
+    throw new Error(`Failed to save settings: ${JSON.stringify(data.errors || userErrors)}`);
+  }
+
+  return sanitized;
+}
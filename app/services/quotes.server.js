@@ -0,0 +1,101 @@
+// app/services/quotes.server.js
+// "Request quote" submissions from the storefront quick order list, created as draft
+// orders the merchant can price and send back as an invoice from the Shopify admin
+import { toGid, toNumericId } from "./appProxy.server";
+
+export const QUOTE_TAG = "quick-order-quote";
+const MAX_QUOTE_LINES = 250;
+const MAX_NOTE_LENGTH = 2000;
+const MAX_PO_NUMBER_LENGTH = 100;
+
+function quoteError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Positive integer quantities keyed by numeric variant id, as draft order line items
+function toLineItems(items) {
+  if (!items || typeof items !== "object" || Array.isArray(items)) {
+    throw quoteError("Items must be an object of variantId: quantity");
+  }
+
+  const lineItems = Object.entries(items)
+    .map(([variantId, quantity]) => [String(variantId).split("/").pop(), parseInt(quantity, 10)])
+    .filter(([variantId, quantity]) => /^\d+$/.test(variantId) && quantity > 0)
+    .map(([variantId, quantity]) => ({ variantId: toGid("ProductVariant", variantId), quantity }));
+
+  if (lineItems.length === 0) {
+    throw quoteError("Add quantities to the order before requesting a quote");
+  }
+  if (lineItems.length > MAX_QUOTE_LINES) {
+    throw quoteError(`A quote can hold at most ${MAX_QUOTE_LINES} lines`);
+  }
+
+  return lineItems;
+}
+
+// Create a draft order for the requested quantities. B2B buyers get the draft on their
+// company location so the location's price list and payment terms apply.
+export async function createQuoteDraftOrder(admin, customerId, { items, note = "", poNumber = "", companyLocation = null } = {}) {
+  const tags = [QUOTE_TAG, `customer-${toNumericId(customerId)}`];
+  if (companyLocation) {
+    tags.push(`company-${toNumericId(companyLocation.companyId)}`);
+  }
+
+  const input = {
+    lineItems: toLineItems(items),
+    note: String(note || "").trim().slice(0, MAX_NOTE_LENGTH) || null,
+    poNumber: String(poNumber || "").trim().slice(0, MAX_PO_NUMBER_LENGTH) || null,
+    tags,
+    purchasingEntity: companyLocation
+      ? {
+          purchasingCompany: {
+            companyId: companyLocation.companyId,
+            companyContactId: companyLocation.contactId,
+            companyLocationId: companyLocation.id,
+          },
+        }
+      : { customerId: toGid("Customer", customerId) },
+    customAttributes: [{ key: "Source", value: "Quick order quote request" }],
+  };
+
+  const response = await admin.graphql(
+    `#graphql
+      mutation quickOrderQuoteCreate($input: DraftOrderInput!) {
+        draftOrderCreate(input: $input) {
+          draftOrder {
+            id
+            name
+            createdAt
+            status
+            totalPriceSet { shopMoney { amount currencyCode } }
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }`,
+    { variables: { input } }
+  );
+
+  const data = await response.json();
+  if (data.errors) {
+    throw new Error(`Failed to create quote: ${JSON.stringify(data.errors)}`);
+  }
+
+  const { draftOrder, userErrors } = data.data.draftOrderCreate;
+  if (userErrors.length > 0) {
+    throw quoteError(userErrors.map(userError => userError.message).join(", "), 422);
+  }
+
+  return {
+    id: toNumericId(draftOrder.id),
+    name: draftOrder.name,
+    createdAt: draftOrder.createdAt,
+    status: draftOrder.status,
+    total: draftOrder.totalPriceSet?.shopMoney || null,
+    lineCount: input.lineItems.length,
+  };
+}
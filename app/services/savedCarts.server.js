@@ -0,0 +1,476 @@
+// app/services/savedCarts.server.js
+// Quick order carts stored in the app database with optimistic versioning. Every save names
+// the version it was based on; a save based on an older version is rejected with a 409 and
+// the current cart, so the device can merge instead of silently overwriting another device.
+//
+// Carts are stored as lines: { [variantId]: { quantity, updatedAt, deviceId } }. Devices merge
+// per variant (latest updatedAt wins) and a removed variant stays as a quantity 0 tombstone,
+// so edits to different SKUs on two devices never drop each other.
+//
+// A customer can keep several named carts (one per project or job site), each with its own
+// lines, PO number and notes. The oldest is the default cart: the one loaded when no cart is
+// named, as older themes do, and the one mirrored to the cart_data metafield.
+//
+// A B2B company location can also have one shared cart that every contact of the location
+// edits. Its lines name the contact who added them and who changed them last.
+import prisma from "../db.server";
+import { toGid, toNumericId } from "./appProxy.server";
+
+const MAX_CART_LINES = 500;
+const MAX_DEVICE_ID_LENGTH = 64;
+export const MAX_CARTS = 20;
+const MAX_NAME_LENGTH = 100;
+export const DEFAULT_CART_NAME = "My cart";
+export const SHARED_CART_NAME = "Shared cart";
+const FORMER_CONTACT = { customerId: null, name: "Former contact" };
+// Tombstones only need to outlive the devices that might still have the variant
+const TOMBSTONE_TTL = 30 * 24 * 60 * 60 * 1000;
+// Lines saved by the old { quantities, timestamp } format and by themes that still post it
+export const LEGACY_DEVICE_ID = "legacy";
+
+function cartError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function sanitizeName(name) {
+  const trimmed = String(name || "").trim();
+  if (!trimmed) {
+    throw cartError("Cart name is required");
+  }
+  return trimmed.slice(0, MAX_NAME_LENGTH);
+}
+
+function parseJson(value, fallback) {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch (e) {
+    return fallback;
+  }
+}
+
+// Positive integer quantities keyed by numeric variant id
+function sanitizeQuantities(quantities) {
+  if (!quantities || typeof quantities !== "object" || Array.isArray(quantities)) {
+    throw cartError("Quantities must be an object of variantId: quantity");
+  }
+
+  const entries = Object.entries(quantities)
+    .map(([variantId, quantity]) => [toNumericId(variantId), parseInt(quantity, 10)])
+    .filter(([variantId, quantity]) => /^\d+$/.test(variantId) && quantity > 0);
+
+  if (entries.length > MAX_CART_LINES) {
+    throw cartError(`A quick order cart can hold at most ${MAX_CART_LINES} lines`);
+  }
+
+  return Object.fromEntries(entries);
+}
+
+// Lines keyed by numeric variant id. Timestamps from a device clock running ahead are capped
+// at the server's time so that device can't win every later merge.
+function sanitizeLines(lines) {
+  if (!lines || typeof lines !== "object" || Array.isArray(lines)) {
+    throw cartError("Lines must be an object of variantId: { quantity, updatedAt, deviceId }");
+  }
+
+  const now = Date.now();
+  const entries = Object.entries(lines)
+    .map(([variantId, line]) => {
+      const updatedAt = Date.parse(line?.updatedAt);
+      return [
+        toNumericId(variantId),
+        {
+          quantity: Math.max(parseInt(line?.quantity, 10) || 0, 0),
+          updatedAt: new Date(Number.isNaN(updatedAt) ? now : Math.min(updatedAt, now)).toISOString(),
+          deviceId: String(line?.deviceId || LEGACY_DEVICE_ID).slice(0, MAX_DEVICE_ID_LENGTH),
+        },
+      ];
+    })
+    .filter(([variantId]) => /^\d+$/.test(variantId))
+    .filter(([, line]) => line.quantity > 0 || now - Date.parse(line.updatedAt) < TOMBSTONE_TTL);
+
+  if (entries.filter(([, line]) => line.quantity > 0).length > MAX_CART_LINES) {
+    throw cartError(`A quick order cart can hold at most ${MAX_CART_LINES} lines`);
+  }
+
+  return Object.fromEntries(entries);
+}
+
+export function quantitiesFromLines(lines) {
+  return Object.fromEntries(
+    Object.entries(lines)
+      .filter(([, line]) => line.quantity > 0)
+      .map(([variantId, line]) => [variantId, line.quantity])
+  );
+}
+
+// Migration from the old { quantities, timestamp } cart shape: every line is dated to the
+// cart's timestamp, so any per-variant edit made since then wins the merge
+export function migrateLegacyCart({ quantities, timestamp }) {
+  const updatedAt = timestamp && !Number.isNaN(Date.parse(timestamp))
+    ? new Date(timestamp).toISOString()
+    : new Date(0).toISOString();
+
+  return Object.fromEntries(
+    Object.entries(sanitizeQuantities(quantities || {})).map(([variantId, quantity]) => [
+      variantId,
+      { quantity, updatedAt, deviceId: LEGACY_DEVICE_ID },
+    ])
+  );
+}
+
+// A save in the old format names only the quantities: date the variants it changed (and the
+// ones it dropped, as tombstones) now, and keep the current lines for everything else
+function linesFromQuantities(quantities, currentLines) {
+  const updatedAt = new Date().toISOString();
+  const lines = { ...currentLines };
+
+  new Set([...Object.keys(currentLines), ...Object.keys(quantities)]).forEach((variantId) => {
+    const quantity = quantities[variantId] || 0;
+    if (quantity !== (currentLines[variantId]?.quantity || 0)) {
+      lines[variantId] = { quantity, updatedAt, deviceId: LEGACY_DEVICE_ID };
+    }
+  });
+
+  return lines;
+}
+
+// Shared carts record who added each line and who changed it last. The attribution is set
+// here from the customer making the save - lines sent by a device never carry their own.
+function attributeLines(lines, currentLines, contact) {
+  return Object.fromEntries(
+    Object.entries(lines).map(([variantId, line]) => {
+      const current = currentLines[variantId];
+      const unchanged = current &&
+        current.quantity === line.quantity &&
+        current.updatedAt === line.updatedAt &&
+        current.deviceId === line.deviceId;
+      if (unchanged) {
+        return [variantId, current];
+      }
+
+      const attributed = { ...line, updatedBy: contact };
+      if (line.quantity > 0) {
+        attributed.addedBy = current?.quantity > 0 && current.addedBy ? current.addedBy : contact;
+      }
+      return [variantId, attributed];
+    })
+  );
+}
+
+function savedCartLines(savedCart) {
+  const lines = parseJson(savedCart.lines, {});
+  // Carts saved before lines existed only have quantities
+  if (Object.keys(lines).length === 0) {
+    return migrateLegacyCart({
+      quantities: parseJson(savedCart.quantities, {}),
+      timestamp: savedCart.updatedAt.toISOString(),
+    });
+  }
+  return lines;
+}
+
+// Same shape the storefront used to read from the cart_data metafield, plus the per-variant
+// lines and the version. quantities only lists the variants in the cart (no tombstones).
+// `companyLocationId` describes a shared cart that has not been saved yet.
+export function toCartData(savedCart, { companyLocationId = null } = {}) {
+  if (!savedCart) {
+    return {
+      cartId: null,
+      companyLocationId: companyLocationId ? toNumericId(companyLocationId) : null,
+      name: companyLocationId ? SHARED_CART_NAME : DEFAULT_CART_NAME,
+      quantities: {},
+      lines: {},
+      orderDetails: null,
+      timestamp: null,
+      version: 0,
+    };
+  }
+
+  const lines = savedCartLines(savedCart);
+  return {
+    cartId: savedCart.id,
+    companyLocationId: savedCart.companyLocationId,
+    name: savedCart.name,
+    quantities: quantitiesFromLines(lines),
+    lines,
+    orderDetails: parseJson(savedCart.orderDetails, null),
+    timestamp: savedCart.updatedAt.toISOString(),
+    version: savedCart.version,
+  };
+}
+
+// The customer's carts, default cart first
+export async function listSavedCarts(shop, customerId) {
+  return prisma.savedCart.findMany({
+    where: { shop, customerId: toNumericId(customerId) },
+    orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+  });
+}
+
+// For the cart switcher: names and sizes without the lines
+export function toCartSummary(savedCart) {
+  return {
+    cartId: savedCart.id,
+    companyLocationId: savedCart.companyLocationId,
+    name: savedCart.name,
+    itemCount: Object.keys(parseJson(savedCart.quantities, {})).length,
+    timestamp: savedCart.updatedAt.toISOString(),
+    version: savedCart.version,
+  };
+}
+
+// The cart with `cartId`, or the default cart (null until the first save) when no id is given
+export async function getSavedCart(shop, customerId, cartId = null) {
+  const numericCustomerId = toNumericId(customerId);
+  if (!cartId) {
+    return prisma.savedCart.findFirst({
+      where: { shop, customerId: numericCustomerId },
+      orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+    });
+  }
+
+  const savedCart = await prisma.savedCart.findFirst({
+    where: { id: cartId, shop, customerId: numericCustomerId },
+  });
+  if (!savedCart) {
+    throw cartError("Cart not found", 404);
+  }
+  return savedCart;
+}
+
+// The shared cart of a company location (null until a contact first saves it). Callers check
+// that the customer buys for the location.
+export async function getSharedCart(shop, companyLocationId) {
+  return prisma.savedCart.findUnique({
+    where: { shop_companyLocationId: { shop, companyLocationId: toNumericId(companyLocationId) } },
+  });
+}
+
+function findCart(shop, customerId, { cartId, companyLocationId }) {
+  return companyLocationId ? getSharedCart(shop, companyLocationId) : getSavedCart(shop, customerId, cartId);
+}
+
+// Save the cart if it is still at `baseVersion` (0 when the device has never seen a saved
+// cart). Throws a 409 error carrying the current cart data when another save got there first.
+// Devices send `lines`; `quantities` alone is the old format and is turned into lines here.
+// Without a cartId the default cart is saved, and version 0 creates it. With a
+// companyLocationId the location's shared cart is saved instead, attributed to `contactName`.
+export async function saveCart(shop, customerId, {
+  cartId = null,
+  companyLocationId = null,
+  contactName = null,
+  lines,
+  quantities,
+  orderDetails = null,
+  baseVersion = 0,
+}) {
+  const numericCustomerId = toNumericId(customerId);
+  const expectedVersion = parseInt(baseVersion, 10) || 0;
+  const address = { cartId, companyLocationId };
+  const target = await findCart(shop, numericCustomerId, address);
+
+  let cartLines;
+  if (lines) {
+    cartLines = sanitizeLines(lines);
+  } else {
+    const current = expectedVersion > 0 ? target : null;
+    cartLines = sanitizeLines(
+      linesFromQuantities(sanitizeQuantities(quantities), current ? savedCartLines(current) : {})
+    );
+  }
+
+  if (companyLocationId) {
+    const contact = { customerId: numericCustomerId, name: contactName || `Customer ${numericCustomerId}` };
+    cartLines = attributeLines(cartLines, target ? savedCartLines(target) : {}, contact);
+  }
+
+  const data = {
+    quantities: JSON.stringify(quantitiesFromLines(cartLines)),
+    lines: JSON.stringify(cartLines),
+    orderDetails: orderDetails ? JSON.stringify(orderDetails) : null,
+  };
+
+  let saved = null;
+  if (!target) {
+    if (expectedVersion === 0) {
+      try {
+        const owner = companyLocationId
+          ? { customerId: null, companyLocationId: toNumericId(companyLocationId), name: SHARED_CART_NAME }
+          : { customerId: numericCustomerId, name: DEFAULT_CART_NAME };
+        saved = await prisma.savedCart.create({ data: { ...data, shop, ...owner } });
+      } catch (error) {
+        // P2002: another device created the cart first
+        if (error.code !== "P2002") throw error;
+      }
+    }
+  } else if (expectedVersion > 0) {
+    const { count } = await prisma.savedCart.updateMany({
+      where: { id: target.id, version: expectedVersion },
+      data: { ...data, version: { increment: 1 } },
+    });
+    if (count === 1) {
+      saved = await prisma.savedCart.findUnique({ where: { id: target.id } });
+    }
+  }
+
+  if (!saved) {
+    const current = await findCart(shop, numericCustomerId, address);
+    const error = cartError(
+      companyLocationId ? "The shared cart was changed by a colleague or another device" : "The cart was changed on another device",
+      409
+    );
+    error.cartData = toCartData(current, { companyLocationId });
+    throw error;
+  }
+
+  return saved;
+}
+
+// Apply one create/rename/delete action to the customer's carts. New carts start empty.
+export async function applySavedCartAction(shop, customerId, { intent, cartId, name }) {
+  const numericCustomerId = toNumericId(customerId);
+
+  const withCarts = async (cart) => ({
+    cart: cart ? toCartData(cart) : null,
+    carts: (await listSavedCarts(shop, numericCustomerId)).map(toCartSummary),
+  });
+  const uniqueName = async (write) => {
+    try {
+      return await write();
+    } catch (error) {
+      if (error.code === "P2002") {
+        throw cartError("You already have a cart with that name");
+      }
+      throw error;
+    }
+  };
+
+  switch (intent) {
+    case "create": {
+      const cartName = sanitizeName(name);
+      const count = await prisma.savedCart.count({ where: { shop, customerId: numericCustomerId } });
+      if (count >= MAX_CARTS) {
+        throw cartError(`You can keep at most ${MAX_CARTS} carts`);
+      }
+      const cart = await uniqueName(() => prisma.savedCart.create({
+        data: { shop, customerId: numericCustomerId, name: cartName, quantities: "{}", lines: "{}" },
+      }));
+      return withCarts(cart);
+    }
+    case "rename": {
+      const current = await getSavedCart(shop, numericCustomerId, cartId);
+      // The name is not part of the cart contents, so renaming leaves the version alone
+      const cart = await uniqueName(() => prisma.savedCart.update({
+        where: { id: current.id },
+        data: { name: sanitizeName(name) },
+      }));
+      return withCarts(cart);
+    }
+    case "delete": {
+      const current = await getSavedCart(shop, numericCustomerId, cartId);
+      await prisma.savedCart.delete({ where: { id: current.id } });
+      return withCarts(null);
+    }
+    default:
+      throw cartError(`Unknown cart action: ${intent}`);
+  }
+}
+
+export async function deleteSavedCarts(shop, customerId = null) {
+  return prisma.savedCart.deleteMany({
+    where: { shop, ...(customerId ? { customerId: toNumericId(customerId) } : {}) },
+  });
+}
+
+// Customer redaction: shared carts stay with the company location, but lines no longer name
+// the customer. Returns the number of shared carts changed.
+export async function forgetSharedCartContact(shop, customerId) {
+  const numericCustomerId = toNumericId(customerId);
+  const sharedCarts = await prisma.savedCart.findMany({
+    where: { shop, companyLocationId: { not: null } },
+  });
+
+  let changed = 0;
+  for (const savedCart of sharedCarts) {
+    const lines = savedCartLines(savedCart);
+    const isContact = (attribution) => attribution?.customerId === numericCustomerId;
+    if (!Object.values(lines).some(line => isContact(line.addedBy) || isContact(line.updatedBy))) {
+      continue;
+    }
+
+    const anonymized = Object.fromEntries(
+      Object.entries(lines).map(([variantId, line]) => [
+        variantId,
+        {
+          ...line,
+          ...(isContact(line.addedBy) ? { addedBy: FORMER_CONTACT } : {}),
+          ...(isContact(line.updatedBy) ? { updatedBy: FORMER_CONTACT } : {}),
+        },
+      ])
+    );
+    // The version is left alone: the cart contents are unchanged
+    await prisma.savedCart.update({
+      where: { id: savedCart.id },
+      data: { lines: JSON.stringify(anonymized) },
+    });
+    changed += 1;
+  }
+  return changed;
+}
+
+// Compatibility mirror: the quick_order.cart_data customer metafield carts used to live in
+export async function readCartMetafield(admin, customerId) {
+  const response = await admin.graphql(
+    `#graphql
+      query quickOrderCartMetafield($customerId: ID!) {
+        customer(id: $customerId) {
+          metafield(namespace: "quick_order", key: "cart_data") {
+            value
+          }
+        }
+      }`,
+    { variables: { customerId: toGid("Customer", customerId) } }
+  );
+
+  const data = await response.json();
+  if (data.errors) {
+    throw new Error(`Failed to read cart metafield: ${JSON.stringify(data.errors)}`);
+  }
+  return parseJson(data.data?.customer?.metafield?.value, null);
+}
+
+export async function writeCartMetafield(admin, customerId, cartData) {
+  const response = await admin.graphql(
+    `#graphql
+      mutation quickOrderCartMetafieldSet($metafields: [MetafieldsSetInput!]!) {
+        metafieldsSet(metafields: $metafields) {
+          userErrors { field message }
+        }
+      }`,
+    {
+      variables: {
+        metafields: [
+          {
+            ownerId: toGid("Customer", customerId),
+            namespace: "quick_order",
+            key: "cart_data",
+            type: "json",
+            value: JSON.stringify({
+              quantities: cartData.quantities,
+              orderDetails: cartData.orderDetails,
+              timestamp: cartData.timestamp,
+            }),
+          },
+        ],
+      },
+    }
+  );
+
+  const data = await response.json();
+  const userErrors = data.data?.metafieldsSet?.userErrors || [];
+  if (data.errors || userErrors.length > 0) {
+    throw new Error(`Failed to mirror cart metafield: ${JSON.stringify(data.errors || userErrors)}`);
+  }
+}
@@ -0,0 +1,102 @@
+// app/services/savedLists.server.js
+// Named saved order lists ("favorites") stored in the customer's quick_order.saved_lists metafield
+import { randomUUID } from "node:crypto";
+import { getCustomerMetafield, setCustomerMetafield } from "./customerMetafields.server";
+
+export const SAVED_LISTS_KEY = "saved_lists";
+export const MAX_LISTS = 50;
+export const MAX_LIST_ITEMS = 500;
+const MAX_NAME_LENGTH = 100;
+
+// Errors carry the HTTP status the proxy route should answer with
+function savedListError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Keep only positive integer quantities keyed by numeric variant id
+export function sanitizeItems(items) {
+  if (!items || typeof items !== "object" || Array.isArray(items)) {
+    throw savedListError("Items must be an object of variantId: quantity");
+  }
+
+  const entries = Object.entries(items)
+    .map(([variantId, quantity]) => [String(variantId).split("/").pop(), parseInt(quantity, 10)])
+    .filter(([variantId, quantity]) => /^\d+$/.test(variantId) && quantity > 0);
+
+  if (entries.length > MAX_LIST_ITEMS) {
+    throw savedListError(`A list can hold at most ${MAX_LIST_ITEMS} items`);
+  }
+
+  return Object.fromEntries(entries);
+}
+
+function sanitizeName(name) {
+  const trimmed = String(name || "").trim();
+  if (!trimmed) {
+    throw savedListError("List name is required");
+  }
+  return trimmed.slice(0, MAX_NAME_LENGTH);
+}
+
+export async function getSavedLists(admin, customerId) {
+  const data = await getCustomerMetafield(admin, customerId, SAVED_LISTS_KEY);
+  return Array.isArray(data?.lists) ? data.lists : [];
+}
+
+async function saveLists(admin, customerId, lists) {
+  await setCustomerMetafield(admin, customerId, SAVED_LISTS_KEY, {
+    lists,
+    timestamp: new Date().toISOString(),
+  });
+  return lists;
+}
+
+function findList(lists, listId) {
+  const list = lists.find(candidate => candidate.id === listId);
+  if (!list) {
+    throw savedListError("Saved list not found", 404);
+  }
+  return list;
+}
+
+// Apply one create/rename/update/delete action and persist the result
+export async function applySavedListAction(admin, customerId, { intent, listId, name, items }) {
+  const lists = await getSavedLists(admin, customerId);
+  const now = new Date().toISOString();
+
+  switch (intent) {
+    case "create": {
+      if (lists.length >= MAX_LISTS) {
+        throw savedListError(`You can keep at most ${MAX_LISTS} saved lists`);
+      }
+      const list = {
+        id: randomUUID(),
+        name: sanitizeName(name),
+        items: sanitizeItems(items),
+        createdAt: now,
+        updatedAt: now,
+      };
+      return { list, lists: await saveLists(admin, customerId, [...lists, list]) };
+    }
+    case "rename": {
+      const list = findList(lists, listId);
+      list.name = sanitizeName(name);
+      list.updatedAt = now;
+      return { list, lists: await saveLists(admin, customerId, lists) };
+    }
+    case "update": {
+      const list = findList(lists, listId);
+      list.items = sanitizeItems(items);
+      list.updatedAt = now;
+      return { list, lists: await saveLists(admin, customerId, lists) };
+    }
+    case "delete": {
+      findList(lists, listId);
+      return { list: null, lists: await saveLists(admin, customerId, lists.filter(list => list.id !== listId)) };
+    }
+    default:
+      throw savedListError(`Unknown saved list action: ${intent}`);
+  }
+}
@@ -0,0 +1,326 @@
+// app/services/wholesaleApplications.server.js
+// Wholesale account applications: submitted from the storefront through the app proxy,
+// reviewed in the embedded app. Approving tags (or creates) the Shopify customer so the
+// quick order access rules let them in, and can set up a B2B company for them.
+import prisma from "../db.server";
+import { toGid, toNumericId } from "./appProxy.server";
+import { getQuickOrderSettings } from "./quickOrderSettings.server";
+
+export const APPLICATION_STATUSES = ["pending", "approved", "rejected"];
+const DEFAULT_APPROVAL_TAG = "wholesale";
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Field name -> max length; required fields must be present on submission
+const APPLICATION_FIELDS = {
+  companyName: { max: 200, required: true },
+  taxId: { max: 50 },
+  firstName: { max: 100, required: true },
+  lastName: { max: 100, required: true },
+  email: { max: 254, required: true },
+  phone: { max: 30 },
+  address1: { max: 200, required: true },
+  address2: { max: 200 },
+  city: { max: 100, required: true },
+  province: { max: 10 },
+  zip: { max: 20, required: true },
+  countryCode: { max: 2, required: true },
+  message: { max: 2000 },
+};
+
+function applicationError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function sanitizeApplication(input) {
+  const application = {};
+  Object.entries(APPLICATION_FIELDS).forEach(([field, { max, required }]) => {
+    const value = String(input[field] ?? "").trim().slice(0, max);
+    if (required && !value) {
+      throw applicationError(`${field} is required`);
+    }
+    application[field] = value || null;
+  });
+
+  application.email = application.email.toLowerCase();
+  application.countryCode = application.countryCode.toUpperCase();
+  application.province = application.province?.toUpperCase() || null;
+
+  if (!EMAIL_PATTERN.test(application.email)) {
+    throw applicationError("Enter a valid email address");
+  }
+  if (!/^[A-Z]{2}$/.test(application.countryCode)) {
+    throw applicationError("countryCode must be a two-letter country code");
+  }
+
+  return application;
+}
+
+export async function createWholesaleApplication(shop, input, { customerId = null } = {}) {
+  const application = sanitizeApplication(input);
+
+  // One open application per email is enough for the merchant to review
+  const pending = await prisma.wholesaleApplication.findFirst({
+    where: { shop, email: application.email, status: "pending" },
+  });
+  if (pending) {
+    throw applicationError("An application for this email is already waiting for review", 409);
+  }
+
+  return prisma.wholesaleApplication.create({
+    data: {
+      ...application,
+      shop,
+      customerId: customerId && customerId !== "null" ? toNumericId(customerId) : null,
+    },
+  });
+}
+
+export async function listWholesaleApplications(shop, { status = "pending" } = {}) {
+  return prisma.wholesaleApplication.findMany({
+    where: { shop, ...(APPLICATION_STATUSES.includes(status) ? { status } : {}) },
+    orderBy: { createdAt: "desc" },
+    take: 250,
+  });
+}
+
+export async function countPendingApplications(shop) {
+  return prisma.wholesaleApplication.count({ where: { shop, status: "pending" } });
+}
+
+export async function getWholesaleApplication(shop, id) {
+  const application = await prisma.wholesaleApplication.findFirst({ where: { shop, id } });
+  if (!application) {
+    throw applicationError("Application not found", 404);
+  }
+  return application;
+}
+
+async function getPendingApplication(shop, id) {
+  const application = await getWholesaleApplication(shop, id);
+  if (application.status !== "pending") {
+    throw applicationError(`Application was already ${application.status}`, 409);
+  }
+  return application;
+}
+
+// Returns the GraphQL payload for `field`, throwing on top-level or user errors
+async function runMutation(admin, mutation, field, variables) {
+  const response = await admin.graphql(mutation, { variables });
+  const data = await response.json();
+  const payload = data.data?.[field];
+  const userErrors = payload?.userErrors || [];
+
+  if (data.errors || userErrors.length > 0) {
+    throw applicationError(`${field} failed: ${(userErrors.map(error => error.message).join(", ")) || JSON.stringify(data.errors)}`, 422);
+  }
+  return payload;
+}
+
+async function findCustomerByEmail(admin, email) {
+  const response = await admin.graphql(
+    `#graphql
+      query wholesaleApplicantCustomer($query: String!) {
+        customers(first: 1, query: $query) {
+          nodes { id }
+        }
+      }`,
+    { variables: { query: `email:"${email.replace(/"/g, "")}"` } }
+  );
+
+  const data = await response.json();
+  if (data.errors) {
+    throw new Error(`Customer lookup failed: ${JSON.stringify(data.errors)}`);
+  }
+  return data.data.customers.nodes[0]?.id || null;
+}
+
+function toAddress(application) {
+  return {
+    address1: application.address1,
+    address2: application.address2,
+    city: application.city,
+    zip: application.zip,
+    countryCode: application.countryCode,
+    ...(application.province ? { provinceCode: application.province } : {}),
+  };
+}
+
+// Tag the applicant's customer, creating it when the email is new to the shop. Only an
+// application sent while logged in (the signed proxy customer) is linked to an existing
+// customer: a guest's email is unverified, so it must not grant access to that account.
+async function upsertApplicantCustomer(admin, application, tag) {
+  const customerId = application.customerId ? toGid("Customer", application.customerId) : null;
+
+  if (!customerId && await findCustomerByEmail(admin, application.email)) {
+    throw applicationError(
+      "A customer account already uses this email, and this application was sent without logging in. Ask the applicant to log in and apply again, or tag the customer yourself once you have confirmed who they are.",
+      409
+    );
+  }
+
+  if (customerId) {
+    await runMutation(
+      admin,
+      `#graphql
+        mutation wholesaleApplicantTag($id: ID!, $tags: [String!]!) {
+          tagsAdd(id: $id, tags: $tags) {
+            userErrors { field message }
+          }
+        }`,
+      "tagsAdd",
+      { id: customerId, tags: [tag] }
+    );
+    return customerId;
+  }
+
+  const payload = await runMutation(
+    admin,
+    `#graphql
+      mutation wholesaleApplicantCreate($input: CustomerInput!) {
+        customerCreate(input: $input) {
+          customer { id }
+          userErrors { field message }
+        }
+      }`,
+    "customerCreate",
+    {
+      input: {
+        email: application.email,
+        firstName: application.firstName,
+        lastName: application.lastName,
+        phone: application.phone,
+        tags: [tag],
+        note: `Wholesale application for ${application.companyName}`,
+        addresses: [{ ...toAddress(application), company: application.companyName, phone: application.phone }],
+      },
+    }
+  );
+  return payload.customer.id;
+}
+
+// Create the company with one location and make the customer its main contact, ordering at
+// that location
+async function createApplicantCompany(admin, application, customerId) {
+  const { company } = await runMutation(
+    admin,
+    `#graphql
+      mutation wholesaleCompanyCreate($input: CompanyCreateInput!) {
+        companyCreate(input: $input) {
+          company {
+            id
+            contactRoles(first: 10) { nodes { id name } }
+            locations(first: 1) { nodes { id } }
+          }
+          userErrors { field message }
+        }
+      }`,
+    "companyCreate",
+    {
+      input: {
+        company: { name: application.companyName, note: "Created from a quick order wholesale application" },
+        companyLocation: {
+          name: application.city ? `${application.companyName} - ${application.city}` : application.companyName,
+          phone: application.phone,
+          taxRegistrationId: application.taxId,
+          billingSameAsShipping: true,
+          shippingAddress: {
+            address1: application.address1,
+            address2: application.address2,
+            city: application.city,
+            zip: application.zip,
+            countryCode: application.countryCode,
+            ...(application.province ? { zoneCode: application.province } : {}),
+            recipient: `${application.firstName} ${application.lastName}`,
+          },
+        },
+      },
+    }
+  );
+
+  const { companyContact } = await runMutation(
+    admin,
+    `#graphql
+      mutation wholesaleCompanyContact($companyId: ID!, $customerId: ID!) {
+        companyAssignCustomerAsContact(companyId: $companyId, customerId: $customerId) {
+          companyContact { id }
+          userErrors { field message }
+        }
+      }`,
+    "companyAssignCustomerAsContact",
+    { companyId: company.id, customerId }
+  );
+
+  const roles = company.contactRoles.nodes;
+  const role = roles.find(contactRole => /ordering/i.test(contactRole.name)) || roles[0];
+  const location = company.locations.nodes[0];
+  if (role && location) {
+    await runMutation(
+      admin,
+      `#graphql
+        mutation wholesaleCompanyRole($companyContactId: ID!, $companyContactRoleId: ID!, $companyLocationId: ID!) {
+          companyContactAssignRole(
+            companyContactId: $companyContactId
+            companyContactRoleId: $companyContactRoleId
+            companyLocationId: $companyLocationId
+          ) {
+            userErrors { field message }
+          }
+        }`,
+      "companyContactAssignRole",
+      { companyContactId: companyContact.id, companyContactRoleId: role.id, companyLocationId: location.id }
+    );
+  }
+
+  await runMutation(
+    admin,
+    `#graphql
+      mutation wholesaleCompanyMainContact($companyId: ID!, $companyContactId: ID!) {
+        companyAssignMainContact(companyId: $companyId, companyContactId: $companyContactId) {
+          userErrors { field message }
+        }
+      }`,
+    "companyAssignMainContact",
+    { companyId: company.id, companyContactId: companyContact.id }
+  );
+
+  return company.id;
+}
+
+// The approval tag is the first tag the access rules accept, so approved customers can
+// use quick order straight away
+export async function approveWholesaleApplication(admin, shop, id, { createCompany = false, reviewNote = "" } = {}) {
+  const application = await getPendingApplication(shop, id);
+  const { settings } = await getQuickOrderSettings(admin);
+  const tag = settings.access.customerTags[0] || DEFAULT_APPROVAL_TAG;
+
+  const customerId = await upsertApplicantCustomer(admin, application, tag);
+  const companyId = createCompany ? await createApplicantCompany(admin, application, customerId) : null;
+
+  console.log(`✅ Wholesale application ${id} approved: customer ${customerId}${companyId ? `, company ${companyId}` : ""}`);
+
+  return prisma.wholesaleApplication.update({
+    where: { id },
+    data: {
+      status: "approved",
+      customerId: toNumericId(customerId),
+      companyId: toNumericId(companyId),
+      reviewNote: String(reviewNote || "").trim().slice(0, 2000) || null,
+      reviewedAt: new Date(),
+    },
+  });
+}
+
+export async function rejectWholesaleApplication(shop, id, { reviewNote = "" } = {}) {
+  await getPendingApplication(shop, id);
+
+  return prisma.wholesaleApplication.update({
+    where: { id },
+    data: {
+      status: "rejected",
+      reviewNote: String(reviewNote || "").trim().slice(0, 2000) || null,
+      reviewedAt: new Date(),
+    },
+  });
+}
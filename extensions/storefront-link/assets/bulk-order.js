@@ -0,0 +1,687 @@
+// Bulk Order Entry - CSV upload and pasted SKU/quantity lines into the quick order list
+class BulkOrderEntry {
+  constructor() {
+    this.applyQueue = Promise.resolve(); // Bulk applies run one after another
+  }
+
+  // Escape user-provided text before it is rendered into a report
+  escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  // Normalize a SKU for case-insensitive matching
+  normalizeSku(sku) {
+    return String(sku || '').trim().toLowerCase();
+  }
+
+  // Build a lookup of quick order inputs keyed by SKU and by variant ID
+  buildInputIndex() {
+    const bySku = new Map();
+    const byVariantId = new Map();
+
+    document.querySelectorAll('.qty-input[data-variant-id]').forEach(input => {
+      const sku = this.normalizeSku(input.dataset.variantSku);
+      if (sku && !bySku.has(sku)) {
+        bySku.set(sku, input);
+      }
+      byVariantId.set(input.dataset.variantId.toString(), input);
+    });
+
+    return { bySku, byVariantId };
+  }
+
+  // Get a readable product name for report lines
+  getInputLabel(input) {
+    const row = input.closest('.qo-product-card, .qo-variant-card, .table-row');
+    const variantCard = input.closest('.qo-variant-card');
+
+    if (variantCard) {
+      const productId = variantCard.closest('.qo-variants-container')?.dataset.productId;
+      const productTitle = productId
+        ? document.querySelector(`.qo-product-card[data-product-id="${productId}"] .qo-product-title`)?.textContent.trim()
+        : null;
+      const variantTitle = variantCard.querySelector('.qo-variant-title')?.textContent.trim();
+      return [productTitle, variantTitle].filter(Boolean).join(' - ');
+    }
+
+    return row?.querySelector('.qo-product-title')?.textContent.trim() || 'Product';
+  }
+
+  // Merge duplicate lines (same SKU or variant) so quantities add up
+  mergeDuplicateLines(lines) {
+    const merged = new Map();
+    const passthrough = [];
+
+    lines.forEach(line => {
+      if (line.error) {
+        passthrough.push(line);
+        return;
+      }
+
+      const key = line.variantId ? `variant:${line.variantId}` : `sku:${this.normalizeSku(line.sku)}`;
+      if (merged.has(key)) {
+        const existing = merged.get(key);
+        existing.quantity += line.quantity;
+        existing.lineNumbers.push(...line.lineNumbers);
+      } else {
+        merged.set(key, { ...line, lineNumbers: [...line.lineNumbers] });
+      }
+    });
+
+    return [...merged.values(), ...passthrough];
+  }
+
+  // Render rows for SKUs/variants that are outside the Liquid-rendered catalog
+  async loadMissingVariants(lines) {
+    if (!window.quickOrderSearch) return;
+
+    const validLines = lines.filter(line => !line.error);
+    await window.quickOrderSearch.ensureVariants({
+      variantIds: validLines.map(line => line.variantId).filter(Boolean),
+      skus: validLines.filter(line => !line.variantId).map(line => line.sku)
+    });
+  }
+
+  // Resolve parsed lines to quick order inputs without touching the cart
+  resolveLines(lines) {
+    const { bySku, byVariantId } = this.buildInputIndex();
+
+    return this.mergeDuplicateLines(lines).map(line => {
+      if (line.error) {
+        return { ...line, status: 'invalid', message: line.error };
+      }
+
+      const input = line.variantId
+        ? byVariantId.get(line.variantId.toString())
+        : bySku.get(this.normalizeSku(line.sku));
+
+      if (!input) {
+        return {
+          ...line,
+          status: 'unmatched',
+          message: line.variantId
+            ? `Variant ${line.variantId} is not available in the quick order list`
+            : `SKU "${line.sku}" was not found`
+        };
+      }
+
+      const resolved = {
+        ...line,
+        input,
+        variantId: input.dataset.variantId.toString(),
+        sku: line.sku || input.dataset.variantSku || '',
+        label: this.getInputLabel(input)
+      };
+
+      if (input.disabled) {
+        return { ...resolved, status: 'out_of_stock', appliedQuantity: 0, message: `${resolved.label} is out of stock` };
+      }
+
+      // Reuse the persistent cart stock rules so capped quantities match manual entry
+      const stockValidation = window.persistentCart
+        ? window.persistentCart.validateStock(input, line.quantity)
+        : { isValid: true, maxAvailable: line.quantity };
+
+      if (!stockValidation.isValid) {
+        const cappedQuantity = window.persistentCart
+          ? window.persistentCart.roundToQuantityRule(input, stockValidation.maxAvailable, stockValidation.maxAvailable)
+          : stockValidation.maxAvailable;
+        if (cappedQuantity <= 0) {
+          return { ...resolved, status: 'out_of_stock', appliedQuantity: 0, message: `${resolved.label} is out of stock` };
+        }
+        return {
+          ...resolved,
+          status: 'capped',
+          appliedQuantity: cappedQuantity,
+          message: `Requested ${line.quantity}, only ${cappedQuantity} available`
+        };
+      }
+
+      // Round to the variant's quantity rule (case packs, minimums) like manual entry does
+      const ruleValidation = window.persistentCart
+        ? window.persistentCart.validateQuantityRule(input, line.quantity)
+        : { isValid: true };
+      if (!ruleValidation.isValid) {
+        return {
+          ...resolved,
+          status: ruleValidation.suggestedQuantity > 0 ? 'capped' : 'invalid',
+          appliedQuantity: ruleValidation.suggestedQuantity,
+          message: `${ruleValidation.message}, adjusted to ${ruleValidation.suggestedQuantity}`
+        };
+      }
+
+      return { ...resolved, status: 'matched', appliedQuantity: line.quantity, message: line.quantity === 0 ? 'Removed' : 'Added' };
+    });
+  }
+
+  // Write resolved quantities into the inputs and push them to the Shopify cart.
+  // With perLineSync each line goes through PersistentCart.handleQuantityChange,
+  // otherwise lines are pushed with updateCartQuantity together - the cart mutation queue
+  // batches them into as few cart requests as possible - and saved to metafields once.
+  // An apply started while another is running waits for it rather than being dropped.
+  applyResolvedLines(resolvedLines, options) {
+    const apply = this.applyQueue.then(() => this.applyLinesToCart(resolvedLines, options));
+    this.applyQueue = apply.catch(() => {});
+    return apply;
+  }
+
+  async applyLinesToCart(resolvedLines, { perLineSync = false } = {}) {
+    const persistentCart = window.persistentCart;
+    if (!persistentCart) {
+      console.warn('PersistentCart not initialized yet');
+      resolvedLines
+        .filter(line => line.status === 'matched' || line.status === 'capped')
+        .forEach(line => {
+          line.status = 'failed';
+          line.message = 'Cart is not ready yet';
+        });
+      return resolvedLines;
+    }
+
+    // Mark user interaction and recent local action (same as manual quantity changes)
+    sessionStorage.setItem('cart_user_interacted', 'true');
+    persistentCart.localTimestamp = new Date().toISOString();
+
+    const cartWrites = [];
+    const markFailed = (line, error) => {
+      console.error(`❌ Failed to apply bulk line for variant ${line.variantId}:`, error);
+      line.status = 'failed';
+      line.message = 'Could not be added to cart';
+    };
+
+    for (const line of resolvedLines) {
+      if (line.status !== 'matched' && line.status !== 'capped') {
+        continue;
+      }
+
+      const input = line.input;
+      input.dataset.previousValue = input.value;
+      input.value = line.appliedQuantity;
+      input.setAttribute('value', line.appliedQuantity);
+
+      if (window.priceCalculator) {
+        window.priceCalculator.updateRowTotal(input.closest('.table-row, .product-row, .variant-row'));
+      }
+
+      if (perLineSync) {
+        try {
+          // Quantity rule and stock failures are reported by the return value, not thrown
+          if (!await persistentCart.handleQuantityChange(input)) {
+            throw new Error('Quantity change was not accepted');
+          }
+          console.log(`✅ Bulk line applied for variant ${line.variantId}: ${line.appliedQuantity}`);
+        } catch (error) {
+          markFailed(line, error);
+        }
+      } else {
+        cartWrites.push(
+          persistentCart.updateCartQuantity(line.variantId, line.appliedQuantity)
+            .then(() => console.log(`✅ Bulk line applied for variant ${line.variantId}: ${line.appliedQuantity}`))
+            .catch(error => markFailed(line, error))
+        );
+      }
+    }
+
+    await Promise.all(cartWrites);
+
+    if (window.priceCalculator) {
+      window.priceCalculator.updateSubtotal();
+    }
+
+    // handleQuantityChange already saved and notified per line
+    if (!perLineSync) {
+      // Persist the new quantities to metafields once for the whole batch
+      await persistentCart.saveCurrentQuantities();
+
+      const updatedCartData = await persistentCart.fetchCurrentCart();
+      persistentCart.updateCartIcon(updatedCartData);
+
+      document.dispatchEvent(new CustomEvent('cartUpdated', {
+        detail: { bulk: true, cartData: updatedCartData }
+      }));
+    }
+
+    return resolvedLines;
+  }
+
+  // Summarize resolved lines by status
+  summarize(resolvedLines) {
+    return resolvedLines.reduce((summary, line) => {
+      summary[line.status] = (summary[line.status] || 0) + 1;
+      return summary;
+    }, {});
+  }
+
+  // Render the summary pills and per-line table shared by the CSV report and paste preview
+  renderLinesTable(resolvedLines, { statusLabels = {}, sourceLabel = 'Line' } = {}) {
+    const escape = (value) => this.escapeHtml(value);
+    const labels = {
+      matched: 'Added',
+      capped: 'Capped to stock',
+      unmatched: 'Not found',
+      out_of_stock: 'Out of stock',
+      invalid: 'Invalid line',
+      failed: 'Failed',
+      ...statusLabels
+    };
+    const summary = this.summarize(resolvedLines);
+
+    const rowsHtml = resolvedLines
+      .slice()
+      .sort((a, b) => a.lineNumbers[0] - b.lineNumbers[0])
+      .map(line => `
+        <tr class="qo-bulk-report__row qo-bulk-report__row--${line.status}">
+          <td>${escape(line.source ?? line.lineNumbers.join(', '))}</td>
+          <td>${escape(line.sku || line.variantId || '')}</td>
+          <td>${escape(line.label || '')}</td>
+          <td>${escape(line.quantity)}</td>
+          <td>${escape(line.appliedQuantity ?? 0)}</td>
+          <td><span class="qo-bulk-report__status">${escape(labels[line.status] || line.status)}</span> ${escape(line.message || '')}</td>
+        </tr>
+      `)
+      .join('');
+
+    const summaryHtml = Object.entries(summary)
+      .map(([status, count]) => `<span class="qo-bulk-report__pill qo-bulk-report__pill--${status}">${count} ${escape(labels[status] || status)}</span>`)
+      .join('');
+
+    return `
+      <div class="qo-bulk-report__summary">${summaryHtml}</div>
+      <div class="qo-bulk-report__table-wrapper">
+        <table class="qo-bulk-report__table">
+          <thead>
+            <tr>
+              <th>${escape(sourceLabel)}</th>
+              <th>SKU / Variant</th>
+              <th>Product</th>
+              <th>Requested</th>
+              <th>Applied</th>
+              <th>Status</th>
+            </tr>
+          </thead>
+          <tbody>${rowsHtml}</tbody>
+        </table>
+      </div>
+    `;
+  }
+}
+
+// CSV upload of SKU/quantity (or variant_id/quantity) files
+class BulkOrderUpload {
+  constructor(entry) {
+    this.entry = entry;
+    this.fileInput = document.getElementById('qo-bulk-upload-input');
+    this.uploadButton = document.getElementById('qo-bulk-upload-btn');
+    this.reportElement = document.getElementById('qo-bulk-report');
+
+    this.init();
+  }
+
+  init() {
+    if (!this.fileInput || !this.uploadButton) {
+      console.log('Bulk upload elements not found, skipping CSV upload initialization');
+      return;
+    }
+
+    this.uploadButton.addEventListener('click', () => this.fileInput.click());
+    this.fileInput.addEventListener('change', () => this.handleFileSelected());
+
+    if (this.reportElement) {
+      this.reportElement.addEventListener('click', (e) => {
+        if (e.target.closest('.qo-bulk-report__close')) {
+          this.hideReport();
+        }
+      });
+    }
+  }
+
+  async handleFileSelected() {
+    const file = this.fileInput.files && this.fileInput.files[0];
+    if (!file) return;
+
+    const originalText = this.uploadButton.textContent;
+    this.uploadButton.disabled = true;
+    this.uploadButton.textContent = 'Uploading...';
+
+    try {
+      const text = await file.text();
+      const lines = this.parseOrderCsv(text);
+      console.log(`📄 Parsed ${lines.length} lines from ${file.name}`);
+
+      if (lines.length === 0) {
+        this.showToast('The file has no SKU or quantity lines', 'error');
+        return;
+      }
+
+      await this.entry.loadMissingVariants(lines);
+      const resolvedLines = this.entry.resolveLines(lines);
+      await this.entry.applyResolvedLines(resolvedLines);
+      this.renderReport(file.name, resolvedLines);
+
+      const summary = this.entry.summarize(resolvedLines);
+      const appliedCount = (summary.matched || 0) + (summary.capped || 0);
+      this.showToast(
+        `${appliedCount} of ${resolvedLines.length} lines added from ${file.name}`,
+        appliedCount === resolvedLines.length ? 'success' : 'error'
+      );
+    } catch (error) {
+      console.error('❌ Error processing CSV upload:', error);
+      this.showToast('Could not read the CSV file', 'error');
+    } finally {
+      this.uploadButton.disabled = false;
+      this.uploadButton.textContent = originalText;
+      // Allow the same file to be selected again
+      this.fileInput.value = '';
+    }
+  }
+
+  // Split CSV text into rows of cells, honouring quoted values
+  parseCsvRows(text) {
+    const content = text.replace(/^\uFEFF/, '');
+    const firstLine = content.split(/\r?\n/, 1)[0] || '';
+    const delimiter = [',', ';', '\t']
+      .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+      .sort((a, b) => b.count - a.count)[0].candidate;
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+
+      if (inQuotes) {
+        if (char === '"' && content[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row.push(cell.trim());
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && content[i + 1] === '\n') i++;
+        row.push(cell.trim());
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+
+    if (cell !== '' || row.length > 0) {
+      row.push(cell.trim());
+      rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(value => value !== ''));
+  }
+
+  // Parse a sku,quantity or variant_id,quantity CSV into order lines
+  parseOrderCsv(text) {
+    const rows = this.parseCsvRows(text);
+    if (rows.length === 0) return [];
+
+    const header = rows[0].map(value => value.toLowerCase().replace(/[\s-]+/g, '_'));
+    const skuIndex = header.findIndex(value => value === 'sku' || value === 'variant_sku');
+    const variantIndex = header.findIndex(value => value === 'variant_id' || value === 'variant');
+    const quantityIndex = header.findIndex(value => value === 'quantity' || value === 'qty');
+    const hasHeader = quantityIndex !== -1 && (skuIndex !== -1 || variantIndex !== -1);
+
+    const columns = hasHeader
+      ? { sku: skuIndex, variantId: variantIndex, quantity: quantityIndex }
+      : { sku: 0, variantId: -1, quantity: 1 };
+    const dataRows = hasHeader ? rows.slice(1) : rows;
+    const firstLineNumber = hasHeader ? 2 : 1;
+
+    return dataRows.map((cells, index) => {
+      const lineNumber = firstLineNumber + index;
+      const sku = columns.sku !== -1 ? (cells[columns.sku] || '') : '';
+      const variantId = columns.variantId !== -1 ? (cells[columns.variantId] || '').replace(/\D/g, '') : '';
+      const rawQuantity = cells[columns.quantity] || '';
+      const quantity = Number(rawQuantity);
+      const line = { lineNumbers: [lineNumber], sku, variantId: variantId || null, quantity };
+
+      if (!sku && !variantId) {
+        return { ...line, quantity: 0, error: 'Missing SKU or variant ID' };
+      }
+      if (rawQuantity === '' || !Number.isInteger(quantity) || quantity < 0) {
+        return { ...line, quantity: 0, error: `Invalid quantity "${rawQuantity}"` };
+      }
+      return line;
+    });
+  }
+
+  renderReport(fileName, resolvedLines) {
+    if (!this.reportElement) return;
+
+    this.reportElement.innerHTML = `
+      <div class="qo-bulk-report__header">
+        <h3 class="qo-bulk-report__title">Upload results: ${this.entry.escapeHtml(fileName)}</h3>
+        <button type="button" class="qo-bulk-report__close" aria-label="Close upload results">×</button>
+      </div>
+      ${this.entry.renderLinesTable(resolvedLines)}
+    `;
+    this.reportElement.hidden = false;
+  }
+
+  hideReport() {
+    if (this.reportElement) {
+      this.reportElement.hidden = true;
+      this.reportElement.innerHTML = '';
+    }
+  }
+
+  showToast(message, type) {
+    if (window.persistentCart) {
+      window.persistentCart.showToast(this.entry.escapeHtml(message), type);
+    }
+  }
+}
+
+// Paste-a-list quick entry ("SKU qty" per line)
+class QuickPasteEntry {
+  constructor(entry) {
+    this.entry = entry;
+    this.toggleButton = document.getElementById('qo-paste-toggle');
+    this.panel = document.getElementById('qo-paste-panel');
+    this.textarea = document.getElementById('qo-paste-input');
+    this.previewButton = document.getElementById('qo-paste-preview-btn');
+    this.applyButton = document.getElementById('qo-paste-apply-btn');
+    this.cancelButton = document.getElementById('qo-paste-cancel-btn');
+    this.previewElement = document.getElementById('qo-paste-preview');
+    this.resolvedLines = [];
+
+    this.init();
+  }
+
+  init() {
+    if (!this.toggleButton || !this.panel || !this.textarea) {
+      console.log('Paste entry elements not found, skipping paste entry initialization');
+      return;
+    }
+
+    this.toggleButton.addEventListener('click', () => this.togglePanel());
+    this.previewButton?.addEventListener('click', () => this.preview());
+    this.applyButton?.addEventListener('click', () => this.apply());
+    this.cancelButton?.addEventListener('click', () => this.togglePanel(false));
+
+    // Any edit invalidates the current preview
+    this.textarea.addEventListener('input', () => this.resetPreview());
+  }
+
+  togglePanel(open = this.panel.hidden) {
+    this.panel.hidden = !open;
+    this.toggleButton.setAttribute('aria-expanded', open ? 'true' : 'false');
+
+    if (open) {
+      this.textarea.focus();
+    } else {
+      this.resetPreview();
+    }
+  }
+
+  // Candidate (sku, quantity) readings of one pasted line, most likely first.
+  // Supports "ABC-123 x 12", "ABC-123, 12", "ABC-123 12", "12 ABC-123" and "12x ABC-123".
+  parsePasteLine(text) {
+    const line = text.trim().replace(/^[-*•]\s+/, '');
+    const candidates = [];
+    const add = (sku, quantity) => {
+      const cleanSku = sku.trim().replace(/[,;:]+$/, '').replace(/^["']|["']$/g, '');
+      if (cleanSku && !candidates.some(candidate => candidate.sku === cleanSku)) {
+        candidates.push({ sku: cleanSku, quantity: parseInt(quantity, 10) });
+      }
+    };
+
+    let match = line.match(/^(.+?)\s*[,;\t]\s*(\d+)$/);
+    if (match) add(match[1], match[2]);
+
+    match = line.match(/^(.+?)\s+(?:[x×*]|qty:?)\s*(\d+)$/i);
+    if (match) add(match[1], match[2]);
+
+    match = line.match(/^(\S+)\s+(\d+)$/);
+    if (match) add(match[1], match[2]);
+
+    match = line.match(/^(\d+)\s*(?:[x×*]\s*|\s)\s*(\S.*)$/i);
+    if (match) add(match[2], match[1]);
+
+    return candidates;
+  }
+
+  // Parse the textarea into order lines, picking the reading whose SKU exists
+  parsePastedText(text) {
+    const { bySku } = this.entry.buildInputIndex();
+
+    return text.split(/\r?\n/)
+      .map((raw, index) => ({ raw: raw.trim(), lineNumber: index + 1 }))
+      .filter(({ raw }) => raw !== '' && !raw.startsWith('#'))
+      .map(({ raw, lineNumber }) => {
+        const candidates = this.parsePasteLine(raw);
+        const base = { lineNumbers: [lineNumber], source: raw, variantId: null };
+
+        if (candidates.length === 0) {
+          return { ...base, sku: '', quantity: 0, error: 'Could not read a SKU and quantity' };
+        }
+
+        const chosen = candidates.find(candidate => bySku.has(this.entry.normalizeSku(candidate.sku))) || candidates[0];
+        if (!Number.isInteger(chosen.quantity) || chosen.quantity < 0) {
+          return { ...base, sku: chosen.sku, quantity: 0, error: 'Invalid quantity' };
+        }
+
+        return { ...base, sku: chosen.sku, quantity: chosen.quantity };
+      });
+  }
+
+  async preview() {
+    // Every possible SKU reading is looked up so the parser can pick the one that exists
+    const candidateSkus = this.textarea.value.split(/\r?\n/)
+      .filter(raw => raw.trim() !== '' && !raw.trim().startsWith('#'))
+      .flatMap(raw => this.parsePasteLine(raw))
+      .map(candidate => ({ sku: candidate.sku }));
+    await this.entry.loadMissingVariants(candidateSkus);
+
+    const lines = this.parsePastedText(this.textarea.value);
+
+    if (lines.length === 0) {
+      this.resetPreview();
+      this.showToast('Paste at least one "SKU quantity" line', 'error');
+      return;
+    }
+
+    // Keep the original text of merged duplicates visible in the preview
+    this.resolvedLines = this.entry.resolveLines(lines).map(line => ({
+      ...line,
+      source: lines
+        .filter(parsed => parsed.lineNumbers.some(number => line.lineNumbers.includes(number)))
+        .map(parsed => parsed.source)
+        .join(' + ')
+    }));
+
+    this.renderPreview(this.resolvedLines, { preview: true });
+
+    const applicableCount = this.getApplicableLines().length;
+    if (this.applyButton) {
+      this.applyButton.disabled = applicableCount === 0;
+      this.applyButton.textContent = applicableCount === 1 ? 'Apply 1 line' : `Apply ${applicableCount} lines`;
+    }
+  }
+
+  getApplicableLines() {
+    return this.resolvedLines.filter(line => line.status === 'matched' || line.status === 'capped');
+  }
+
+  async apply() {
+    const applicableCount = this.getApplicableLines().length;
+    if (applicableCount === 0) return;
+
+    this.applyButton.disabled = true;
+    this.applyButton.textContent = 'Applying...';
+
+    try {
+      // Same path as manual quantity edits so metafield sync happens per line
+      await this.entry.applyResolvedLines(this.resolvedLines, { perLineSync: true });
+      this.renderPreview(this.resolvedLines, { preview: false });
+
+      const failedCount = this.resolvedLines.filter(line => line.status === 'failed').length;
+      this.showToast(
+        `${applicableCount - failedCount} pasted lines applied to your cart`,
+        failedCount > 0 ? 'error' : 'success'
+      );
+
+      this.textarea.value = '';
+      this.resolvedLines = [];
+    } catch (error) {
+      console.error('❌ Error applying pasted lines:', error);
+      this.showToast('Could not apply the pasted lines', 'error');
+    } finally {
+      this.applyButton.textContent = 'Apply';
+    }
+  }
+
+  renderPreview(resolvedLines, { preview }) {
+    if (!this.previewElement) return;
+
+    this.previewElement.innerHTML = this.entry.renderLinesTable(resolvedLines, {
+      sourceLabel: 'Pasted line',
+      statusLabels: preview ? { matched: 'Ready', capped: 'Will be capped' } : {}
+    });
+    this.previewElement.hidden = false;
+  }
+
+  resetPreview() {
+    this.resolvedLines = [];
+    if (this.previewElement) {
+      this.previewElement.hidden = true;
+      this.previewElement.innerHTML = '';
+    }
+    if (this.applyButton) {
+      this.applyButton.disabled = true;
+      this.applyButton.textContent = 'Apply';
+    }
+  }
+
+  showToast(message, type) {
+    if (window.persistentCart) {
+      window.persistentCart.showToast(this.entry.escapeHtml(message), type);
+    }
+  }
+}
+
+// Initialize bulk order entry when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  window.bulkOrderEntry = new BulkOrderEntry();
+  window.bulkOrderUpload = new BulkOrderUpload(window.bulkOrderEntry);
+  window.quickPasteEntry = new QuickPasteEntry(window.bulkOrderEntry);
+});
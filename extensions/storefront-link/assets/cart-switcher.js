@@ -0,0 +1,281 @@
+// Cart Switcher - named quick order carts, one per project or job site. Switching swaps the
+// live Shopify cart, the quick order inputs and the PO number / notes (PersistentCart.switchCart).
+// When the merchant turns on shared company carts, B2B buyers also get their company
+// location's shared cart, which every contact of the location can edit.
+const SHARED_CART_OPTION = 'shared';
+
+class CartSwitcher {
+  constructor(persistentCart) {
+    this.persistentCart = persistentCart;
+    this.endpoint = '/apps/quick-order/v1/carts';
+    this.customerId = window.customerId;
+    this.carts = [];
+    this.sharedCart = null; // The company location's shared cart, when enabled
+    this.companyLocationId = window.quickOrderSettings?.sharedCompanyCarts ? window.quickOrderCompanyLocationId || null : null;
+    this.isBusy = false;
+    this.nameMode = 'create'; // The name form creates a cart or renames the open one
+
+    this.container = document.getElementById('qo-cart-switcher');
+    this.select = document.getElementById('qo-cart-select');
+    this.newButton = document.getElementById('qo-cart-new-btn');
+    this.renameButton = document.getElementById('qo-cart-rename-btn');
+    this.deleteButton = document.getElementById('qo-cart-delete-btn');
+    this.nameForm = document.getElementById('qo-cart-name-form');
+    this.nameInput = document.getElementById('qo-cart-name');
+    this.nameSubmitButton = document.getElementById('qo-cart-name-submit');
+    this.nameCancelButton = document.getElementById('qo-cart-name-cancel');
+
+    this.init();
+  }
+
+  async init() {
+    if (!this.container || !this.select) {
+      console.log('Cart switcher elements not found, skipping cart switcher initialization');
+      return;
+    }
+
+    if (!this.persistentCart.isCustomer) {
+      this.container.hidden = true;
+      return;
+    }
+
+    this.select.addEventListener('change', () => this.handleSelect());
+    this.newButton?.addEventListener('click', () => this.showNameForm('create'));
+    this.renameButton?.addEventListener('click', () => this.showNameForm('rename'));
+    this.deleteButton?.addEventListener('click', () => this.deleteCart());
+    this.nameCancelButton?.addEventListener('click', () => this.hideNameForm());
+    this.nameForm?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.submitName();
+    });
+
+    // The open cart is only known once PersistentCart has loaded it
+    await this.persistentCart.ready;
+    await this.loadCarts();
+  }
+
+  isSharedCartOpen() {
+    return Boolean(this.persistentCart.sharedLocationId);
+  }
+
+  getOpenCart() {
+    if (this.isSharedCartOpen()) return this.sharedCart;
+    return this.carts.find(cart => cart.cartId === this.persistentCart.cartId) || null;
+  }
+
+  // Also called when another device creates, renames or deletes a cart
+  async loadCarts() {
+    try {
+      const query = new URLSearchParams({ customerId: this.customerId });
+      if (this.companyLocationId) {
+        query.set('companyLocationId', this.companyLocationId);
+      }
+      const response = await fetch(`${this.endpoint}?${query}`, {
+        headers: { 'Accept': 'application/json' }
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
+
+      this.carts = data.carts || [];
+      this.sharedCart = data.sharedCart || null;
+      this.render();
+      console.log(`🗂️ Loaded ${this.carts.length} carts${this.sharedCart ? ' and the shared company cart' : ''}`);
+
+      // The open cart was deleted on another device
+      if (!this.isSharedCartOpen() && this.persistentCart.cartId && this.carts.length > 0 && !this.getOpenCart() && !this.isBusy) {
+        await this.runAction(() => this.persistentCart.switchCart(null), 'Could not open your default cart');
+      }
+    } catch (error) {
+      console.error('❌ Error loading carts:', error);
+    }
+  }
+
+  // POST one create/rename/delete action; the response carries the updated carts
+  async sendAction(intent, fields = {}) {
+    const response = await fetch(this.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ customerId: this.customerId, intent, ...fields })
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || `HTTP ${response.status}`);
+    }
+
+    this.carts = data.carts || [];
+    return data;
+  }
+
+  // Run an action with the switcher locked, reporting failures as a toast
+  async runAction(action, errorMessage) {
+    if (this.isBusy) return;
+
+    this.isBusy = true;
+    this.render();
+    try {
+      await action();
+    } catch (error) {
+      console.error(`❌ ${errorMessage}:`, error);
+      this.showToast(`${errorMessage}: ${error.message}`, 'error');
+    } finally {
+      this.isBusy = false;
+      this.render();
+    }
+  }
+
+  // The default cart is opened without an id, so it stays the default if it is renamed
+  async openCart(cartId) {
+    const isDefault = cartId === this.carts[0]?.cartId;
+    return this.persistentCart.switchCart(isDefault ? null : cartId);
+  }
+
+  async handleSelect() {
+    if (this.select.value === SHARED_CART_OPTION) {
+      await this.openSharedCart();
+      return;
+    }
+
+    const cart = this.carts.find(candidate => candidate.cartId === this.select.value);
+    if (!cart || (cart.cartId === this.persistentCart.cartId && !this.isSharedCartOpen())) return;
+
+    await this.runAction(async () => {
+      if (await this.openCart(cart.cartId)) {
+        this.showToast(`Switched to "${cart.name}"`, 'success');
+      }
+    }, 'Could not switch carts');
+  }
+
+  async openSharedCart() {
+    if (!this.sharedCart || this.isSharedCartOpen()) return;
+
+    await this.runAction(async () => {
+      if (await this.persistentCart.switchCart(null, { companyLocationId: this.sharedCart.companyLocationId })) {
+        this.showToast(`Switched to the shared cart for ${this.sharedCart.locationName}`, 'success');
+      }
+    }, 'Could not open the shared cart');
+  }
+
+  showNameForm(mode) {
+    if (!this.nameForm || !this.nameInput) return;
+
+    this.nameMode = mode;
+    this.nameInput.value = mode === 'rename' ? this.getOpenCart()?.name || '' : '';
+    if (this.nameSubmitButton) {
+      this.nameSubmitButton.textContent = mode === 'rename' ? 'Rename cart' : 'Create cart';
+    }
+    this.nameForm.hidden = false;
+    this.nameInput.focus();
+  }
+
+  hideNameForm() {
+    if (!this.nameForm) return;
+    this.nameForm.hidden = true;
+    this.nameInput.value = '';
+  }
+
+  async submitName() {
+    const name = this.nameInput?.value.trim();
+    if (!name) {
+      this.showToast('Enter a name for the cart', 'error');
+      this.nameInput?.focus();
+      return;
+    }
+
+    if (this.nameMode === 'rename') {
+      await this.renameCart(name);
+    } else {
+      await this.createCart(name);
+    }
+  }
+
+  // New carts start empty; the cart being left keeps its items
+  async createCart(name) {
+    await this.runAction(async () => {
+      // Save the open cart first so it exists, and stays the default, before the new one
+      if (!this.persistentCart.cartId && !this.isSharedCartOpen()) {
+        const saved = await this.persistentCart.saveQuantitiesToMetafields(this.persistentCart.getCurrentQuantities());
+        if (!saved) {
+          throw new Error('your current cart could not be saved');
+        }
+      }
+
+      const data = await this.sendAction('create', { name });
+      this.hideNameForm();
+      if (await this.openCart(data.cart.cartId)) {
+        this.showToast(`Created "${data.cart.name}"`, 'success');
+      }
+    }, 'Could not create the cart');
+  }
+
+  async renameCart(name) {
+    const cart = this.getOpenCart();
+    if (!cart || this.isSharedCartOpen()) return;
+
+    await this.runAction(async () => {
+      const data = await this.sendAction('rename', { cartId: cart.cartId, name });
+      this.hideNameForm();
+      this.showToast(`Renamed to "${data.cart.name}"`, 'success');
+    }, 'Could not rename the cart');
+  }
+
+  // Deleting the open cart opens another one first, so the live cart never holds a deleted cart
+  async deleteCart() {
+    const cart = this.getOpenCart();
+    if (!cart || this.isSharedCartOpen() || this.carts.length <= 1) return;
+    if (!window.confirm(`Delete the cart "${cart.name}"? Its items and order details will be removed.`)) return;
+
+    await this.runAction(async () => {
+      const nextCart = this.carts.find(candidate => candidate.cartId !== cart.cartId);
+      if (!(await this.openCart(nextCart.cartId))) return;
+
+      await this.sendAction('delete', { cartId: cart.cartId });
+      this.showToast(`Deleted "${cart.name}"`, 'success');
+    }, 'Could not delete the cart');
+  }
+
+  render() {
+    const itemText = count => `${count} ${count === 1 ? 'item' : 'items'}`;
+    const options = this.carts.length === 0
+      ? [new Option('My cart', '')]
+      : this.carts.map(cart => new Option(`${cart.name} (${itemText(cart.itemCount)})`, cart.cartId));
+    if (this.sharedCart) {
+      options.push(new Option(
+        `Shared with ${this.sharedCart.locationName} (${itemText(this.sharedCart.itemCount)})`,
+        SHARED_CART_OPTION
+      ));
+    }
+    this.select.replaceChildren(...options);
+    this.select.value = this.isSharedCartOpen()
+      ? SHARED_CART_OPTION
+      : this.getOpenCart()?.cartId || options[0].value;
+
+    // The shared cart belongs to the company location, so only its contacts' own carts can be
+    // renamed or deleted here
+    const canEditOpenCart = Boolean(this.getOpenCart()) && !this.isSharedCartOpen();
+    this.select.disabled = this.isBusy;
+    if (this.newButton) this.newButton.disabled = this.isBusy;
+    if (this.renameButton) this.renameButton.disabled = this.isBusy || !canEditOpenCart;
+    if (this.deleteButton) this.deleteButton.disabled = this.isBusy || !canEditOpenCart || this.carts.length <= 1;
+  }
+
+  showToast(message, type) {
+    if (window.persistentCart) {
+      const escaped = String(message)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+      window.persistentCart.showToast(escaped, type);
+    }
+  }
+}
+
+// Initialize the cart switcher once the persistent cart exists
+document.addEventListener('DOMContentLoaded', () => {
+  if (window.persistentCart) {
+    window.cartSwitcher = new CartSwitcher(window.persistentCart);
+  }
+});
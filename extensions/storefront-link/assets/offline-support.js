@@ -0,0 +1,157 @@
+// Offline Support - durable queue of quick order changes made without a connection, and the
+// optional service worker that keeps the quick order page usable offline
+class PendingChangeQueue {
+  constructor(customerId) {
+    this.customerId = String(customerId);
+    this.dbName = 'quick-order';
+    this.storeName = 'pendingChanges';
+    this.db = null;
+    this.memoryEntries = []; // Used when IndexedDB is unavailable (e.g. some private windows)
+    this.nextMemoryId = 1;
+    this.size = 0;
+    this.ready = this.open().then(() => this.refreshCount());
+  }
+
+  static isNetworkError(error) {
+    // fetch rejects with a TypeError when the request never reaches the server
+    return !navigator.onLine || error instanceof TypeError;
+  }
+
+  open() {
+    if (!window.indexedDB) {
+      return Promise.resolve(null);
+    }
+
+    return new Promise(resolve => {
+      const request = indexedDB.open(this.dbName, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+      };
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve(this.db);
+      };
+      request.onerror = () => {
+        console.error('❌ Pending changes database unavailable, keeping changes in memory:', request.error);
+        resolve(null);
+      };
+    });
+  }
+
+  transaction(mode, callback) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(this.storeName, mode);
+      const result = callback(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(result?.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  // Changes for this customer, oldest first
+  async list() {
+    await this.ready;
+    const entries = this.db
+      ? await this.transaction('readonly', store => store.getAll())
+      : this.memoryEntries;
+    return entries
+      .filter(entry => entry.customerId === this.customerId)
+      .sort((a, b) => a.id - b.id);
+  }
+
+  async add(type, payload) {
+    await this.ready;
+    const entry = { customerId: this.customerId, type, payload, createdAt: new Date().toISOString() };
+
+    if (this.db) {
+      await this.transaction('readwrite', store => store.add(entry));
+    } else {
+      this.memoryEntries.push({ ...entry, id: this.nextMemoryId++ });
+    }
+
+    console.log(`📥 Queued ${type} change while offline:`, payload);
+    await this.refreshCount();
+  }
+
+  async remove(id) {
+    if (this.db) {
+      await this.transaction('readwrite', store => store.delete(id));
+    } else {
+      this.memoryEntries = this.memoryEntries.filter(entry => entry.id !== id);
+    }
+    await this.refreshCount();
+  }
+
+  async refreshCount() {
+    this.size = (await this.list()).length;
+    document.dispatchEvent(new CustomEvent('quickOrder:pendingChanges', {
+      detail: { count: this.size }
+    }));
+    return this.size;
+  }
+
+  // Send queued changes in the order they were made. `handlers` maps a change type to a
+  // function that sends it; a network error stops the replay and keeps the remaining changes.
+  async replay(handlers) {
+    if (this.isReplaying) return;
+    this.isReplaying = true;
+
+    try {
+      for (const entry of await this.list()) {
+        try {
+          await handlers[entry.type](entry.payload);
+        } catch (error) {
+          if (PendingChangeQueue.isNetworkError(error)) {
+            console.log('📴 Still offline - keeping pending changes for later');
+            return;
+          }
+          // The server rejected the change; retrying it would never succeed
+          console.error(`❌ Dropping pending ${entry.type} change:`, error);
+        }
+        await this.remove(entry.id);
+      }
+    } finally {
+      this.isReplaying = false;
+    }
+  }
+}
+
+window.PendingChangeQueue = PendingChangeQueue;
+
+// Offline catalog: the service worker is served through the app proxy and scoped to this
+// page, so it only caches the quick order page, its catalog requests and theme assets
+function registerOfflineCatalog() {
+  if (!('serviceWorker' in navigator)) return;
+
+  const scope = window.location.pathname;
+  if (!window.quickOrderSettings?.offlineCatalog) {
+    // Turning the setting off removes a worker registered earlier, and what it cached
+    navigator.serviceWorker.getRegistration(scope).then(registration => {
+      if (registration && registration.active?.scriptURL.includes('/apps/quick-order/sw.js')) {
+        registration.unregister();
+        caches.keys().then(names => names
+          .filter(name => name.startsWith('quick-order-'))
+          .forEach(name => caches.delete(name)));
+      }
+    });
+    return;
+  }
+
+  navigator.serviceWorker.register('/apps/quick-order/sw.js', { scope })
+    .then(() => console.log('📦 Offline catalog enabled for', scope))
+    .catch(error => console.error('❌ Offline catalog registration failed:', error));
+
+  // The worker keeps cached pages per customer; tell it who is logged in so another
+  // customer's copies are dropped, and forget this customer's when they log out
+  const customerId = window.customerId && window.customerId !== 'null' ? String(window.customerId) : null;
+  const reportCustomer = id => navigator.serviceWorker.ready
+    .then(registration => registration.active?.postMessage({ type: 'quick-order-customer', customerId: id }));
+
+  reportCustomer(customerId);
+  document.addEventListener('click', event => {
+    if (event.target.closest?.('a[href*="/account/logout"]')) {
+      reportCustomer(null);
+    }
+  });
+}
+
+document.addEventListener('DOMContentLoaded', registerOfflineCatalog);
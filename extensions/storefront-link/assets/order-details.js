@@ -0,0 +1,121 @@
+// Order Details - PO number, requested delivery date and note, written to the cart and
+// saved with the customer's quick order cart so they follow the customer across devices
+class OrderDetailsForm {
+  constructor() {
+    this.container = document.getElementById('qo-order-details');
+    this.statusElement = document.getElementById('qo-order-details-status');
+    this.fields = this.container ? Array.from(this.container.querySelectorAll('[data-order-detail]')) : [];
+    this.saveTimeout = null;
+
+    // Cart attribute names the merchant sees on the order
+    this.attributeNames = {
+      poNumber: 'PO Number',
+      deliveryDate: 'Requested Delivery Date'
+    };
+
+    this.init();
+  }
+
+  init() {
+    if (!this.container || this.fields.length === 0) {
+      console.log('Order details elements not found, skipping order details initialization');
+      return;
+    }
+
+    this.fields.forEach(field => {
+      field.addEventListener('input', () => this.scheduleSave());
+      field.addEventListener('change', () => this.scheduleSave(0));
+    });
+  }
+
+  getField(key) {
+    return this.fields.find(field => field.dataset.orderDetail === key) || null;
+  }
+
+  getValues() {
+    return this.fields.reduce((values, field) => {
+      values[field.dataset.orderDetail] = field.value.trim();
+      return values;
+    }, {});
+  }
+
+  isEmpty(values = this.getValues()) {
+    return Object.values(values).every(value => !value);
+  }
+
+  // Fill the form from saved details. Without overwrite only empty fields are filled,
+  // so values already on this device's cart win over the metafield copy.
+  async apply(details, { overwrite = false } = {}) {
+    if (!details || this.fields.length === 0) return;
+
+    let changed = false;
+    Object.entries(details).forEach(([key, value]) => {
+      const field = this.getField(key);
+      if (field && (overwrite || !field.value.trim()) && field.value !== (value || '')) {
+        field.value = value || '';
+        changed = true;
+      }
+    });
+
+    if (changed) {
+      console.log('📝 Restored order details:', this.getValues());
+      await this.saveToCart();
+    }
+  }
+
+  scheduleSave(delay = 800) {
+    clearTimeout(this.saveTimeout);
+    this.setStatus('Saving…');
+    this.saveTimeout = setTimeout(() => this.save(), delay);
+  }
+
+  async save() {
+    const saved = await this.saveToCart();
+    if (!saved) return;
+
+    // Save the details with the quick order cart alongside the quantities
+    if (window.persistentCart && window.persistentCart.isCustomer) {
+      await window.persistentCart.saveQuantitiesToMetafields(window.persistentCart.getCurrentQuantities());
+    }
+  }
+
+  async saveToCart() {
+    const values = this.getValues();
+    const attributes = {};
+    Object.entries(this.attributeNames).forEach(([key, name]) => {
+      // An empty attribute value removes it from the cart
+      attributes[name] = values[key] || '';
+    });
+
+    try {
+      const response = await fetch('/cart/update.js', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ attributes, note: values.note || '' })
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      console.log('✅ Order details saved to cart:', values);
+      this.setStatus(this.isEmpty(values) ? '' : 'Saved to your cart');
+      return true;
+    } catch (error) {
+      console.error('❌ Error saving order details:', error);
+      this.setStatus('Could not save order details. Please try again.', true);
+      return false;
+    }
+  }
+
+  setStatus(message, isError = false) {
+    if (!this.statusElement) return;
+    this.statusElement.textContent = message;
+    this.statusElement.classList.toggle('qo-order-details__status--error', isError);
+  }
+}
+
+// Initialize order details when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  window.orderDetailsForm = new OrderDetailsForm();
+});
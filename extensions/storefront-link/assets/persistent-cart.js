@@ -1,4 +1,187 @@
 // Persistent Cart Management - Quantity-based System
+
+// Batched cart writes. Quantity changes made close together are coalesced into one
+// /cart/update.js `updates` map, long update maps and item lists are sent in chunks, 429
+// responses are retried with backoff, and every call resolves with a per-line report:
+// { cart, succeeded: [variantId], failed: [{ variantId, quantity, message }] }.
+// Network errors reject, so callers can queue the change for when the connection is back.
+class CartMutationQueue {
+  constructor({ chunkSize = 50, batchDelay = 25, maxRetries = 5 } = {}) {
+    this.chunkSize = chunkSize;
+    this.batchDelay = batchDelay; // ms to wait for more changes before sending a batch
+    this.maxRetries = maxRetries;
+    this.pendingUpdates = new Map(); // variantId -> { quantity, waiters }
+    this.flushTimeout = null;
+    this.running = Promise.resolve(); // Batches are sent one after another so writes stay in order
+  }
+
+  setQuantity(variantId, quantity) {
+    return this.setQuantities({ [variantId]: quantity });
+  }
+
+  // Set cart quantities (0 removes the line). A later call for the same variant before the
+  // batch is sent replaces the earlier quantity.
+  setQuantities(quantities) {
+    const variantIds = Object.keys(quantities);
+    if (variantIds.length === 0) {
+      return Promise.resolve({ cart: null, succeeded: [], failed: [] });
+    }
+
+    const lineResults = variantIds.map(variantId => new Promise((resolve, reject) => {
+      const pending = this.pendingUpdates.get(String(variantId)) || { waiters: [] };
+      pending.quantity = Math.max(parseInt(quantities[variantId]) || 0, 0);
+      pending.waiters.push({ resolve, reject });
+      this.pendingUpdates.set(String(variantId), pending);
+    }));
+
+    if (!this.flushTimeout) {
+      this.flushTimeout = setTimeout(() => this.flush(), this.batchDelay);
+    }
+
+    return Promise.all(lineResults).then(results => CartMutationQueue.summarize(results));
+  }
+
+  // Add items ([{ id, quantity }]) to the cart, after any quantity changes already waiting
+  addItems(items) {
+    this.flush();
+    const run = this.running.then(() => this.sendAdds(items));
+    this.running = run.catch(() => {});
+    return run;
+  }
+
+  flush() {
+    clearTimeout(this.flushTimeout);
+    this.flushTimeout = null;
+    if (this.pendingUpdates.size === 0) return;
+
+    const batch = Array.from(this.pendingUpdates.entries());
+    this.pendingUpdates = new Map();
+    this.running = this.running
+      .then(() => this.sendBatch(batch))
+      .catch(error => console.error('❌ Error sending cart batch:', error));
+  }
+
+  async sendBatch(batch) {
+    for (let start = 0; start < batch.length; start += this.chunkSize) {
+      const chunk = batch.slice(start, start + this.chunkSize);
+      let results;
+      try {
+        results = await this.sendUpdates(chunk.map(([variantId, pending]) => [variantId, pending.quantity]));
+      } catch (error) {
+        // Network error: nothing from here on was sent
+        batch.slice(start).forEach(([, pending]) => pending.waiters.forEach(waiter => waiter.reject(error)));
+        return;
+      }
+
+      const cart = results.filter(result => result.cart).pop()?.cart;
+      if (cart) {
+        // Trigger cart updated event for theme compatibility
+        document.dispatchEvent(new CustomEvent('cart:updated', { detail: { cart } }));
+      }
+
+      chunk.forEach(([variantId, pending]) => {
+        const result = results.find(line => line.variantId === variantId);
+        pending.waiters.forEach(waiter => waiter.resolve({ ...result, cart: cart || null }));
+      });
+    }
+  }
+
+  // One /cart/update.js call for the lines. A single bad line (sold out, quantity rule)
+  // fails the whole request, so a rejected request is split in half until it is found.
+  async sendUpdates(lines) {
+    const response = await this.post('/cart/update.js', { updates: Object.fromEntries(lines) });
+    if (response.ok) {
+      const cart = await response.json();
+      return lines.map(([variantId, quantity]) => ({ variantId, quantity, ok: true, cart }));
+    }
+
+    if (response.status === 422 && lines.length > 1) {
+      const middle = Math.ceil(lines.length / 2);
+      return [
+        ...await this.sendUpdates(lines.slice(0, middle)),
+        ...await this.sendUpdates(lines.slice(middle))
+      ];
+    }
+
+    const message = await CartMutationQueue.errorMessage(response);
+    return lines.map(([variantId, quantity]) => ({ variantId, quantity, ok: false, message }));
+  }
+
+  async sendAdds(items) {
+    const results = [];
+    for (let start = 0; start < items.length; start += this.chunkSize) {
+      results.push(...await this.sendAddChunk(items.slice(start, start + this.chunkSize)));
+    }
+
+    // /cart/add.js only returns the added items
+    const response = await fetch('/cart.js');
+    const cart = response.ok ? await response.json() : null;
+    if (cart) {
+      document.dispatchEvent(new CustomEvent('cart:updated', { detail: { cart } }));
+    }
+
+    return CartMutationQueue.summarize(results.map(result => ({ ...result, cart })));
+  }
+
+  async sendAddChunk(items) {
+    const response = await this.post('/cart/add.js', { items });
+    const toResult = (item, ok, message) => ({ variantId: String(item.id), quantity: item.quantity, ok, message });
+    if (response.ok) {
+      return items.map(item => toResult(item, true));
+    }
+
+    if (response.status === 422 && items.length > 1) {
+      const middle = Math.ceil(items.length / 2);
+      return [
+        ...await this.sendAddChunk(items.slice(0, middle)),
+        ...await this.sendAddChunk(items.slice(middle))
+      ];
+    }
+
+    const message = await CartMutationQueue.errorMessage(response);
+    return items.map(item => toResult(item, false, message));
+  }
+
+  // POST JSON, retrying 429 (cart API rate limit) with Retry-After or exponential backoff
+  async post(url, body) {
+    for (let attempt = 0; ; attempt++) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+
+      if (response.status !== 429 || attempt >= this.maxRetries) {
+        return response;
+      }
+
+      const retryAfter = parseFloat(response.headers.get('Retry-After'));
+      const delay = retryAfter > 0 ? retryAfter * 1000 : 500 * 2 ** attempt;
+      console.log(`⏳ Cart API rate limited - retrying in ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  static async errorMessage(response) {
+    try {
+      const data = await response.json();
+      return data.description || data.message || `Cart request failed (${response.status})`;
+    } catch (error) {
+      return `Cart request failed (${response.status})`;
+    }
+  }
+
+  static summarize(lineResults) {
+    return {
+      cart: lineResults.filter(result => result.cart).pop()?.cart || null,
+      succeeded: lineResults.filter(result => result.ok).map(result => result.variantId),
+      failed: lineResults
+        .filter(result => !result.ok)
+        .map(({ variantId, quantity, message }) => ({ variantId, quantity, message }))
+    };
+  }
+}
+
 class PersistentCart {
   constructor() {
     this.isCustomer = window.customerId !== null && window.customerId !== 'null';
@@ -11,16 +194,34 @@ class PersistentCart {
     this.toastTimeout = null; // Debounce toast messages
     this.lastMetafieldTimestamp = null; // Track last metafield update time
     this.localCartState = {}; // Track current local cart state
+    this.metafieldOrderDetails = null; // PO number, delivery date and note from cart_data
+    this.cartVersion = 0; // Saved cart version our last load/save was based on (0 = none saved)
+    this.cartEndpoint = '/apps/quick-order/v1/cart'; // Storefront cart API, see app/services/cartApi.server.js
+    this.deviceId = this.getDeviceId(); // Stamped on the cart lines this device changes
+    const activeCart = this.loadActiveCart();
+    this.activeCartId = activeCart.cartId; // Named cart picked in the cart switcher (null = default cart)
+    this.sharedLocationId = activeCart.companyLocationId; // Set while the company location's shared cart is open
+    this.cartId = null; // Id of the saved cart last loaded (null until the default cart is first saved)
+    this.isSwitchingCart = false;
+    this.serverLines = {}; // Per-variant lines of the saved cart as last loaded
+    this.syncedLines = this.loadSyncedLines(); // Per-variant lines this device last agreed with the server
+    this.pendingChanges = window.PendingChangeQueue ? new window.PendingChangeQueue(this.customerId) : null; // Changes made offline, sent in order later
+    this.pendingLines = null; // Lines of the last queued save; edits made while offline build on them
+    this.cartMutations = new CartMutationQueue(); // Every cart write goes through this batched queue
+    this.guestCarts = window.quickOrderSettings?.guestCarts || { enabled: false, mergeStrategy: 'sum' }; // Guest quick orders kept in this browser until login
     
     console.log('PersistentCart initialized:');
     console.log('- window.customerId:', window.customerId);
     console.log('- this.isCustomer:', this.isCustomer);
     console.log('- this.customerId:', this.customerId);
     
-    this.init();
+    this.ready = this.init(); // Resolves once the saved cart has been loaded
   }
 
   async init() {
+    QuantityRules.renderAll();
+    // Changes queued during an earlier offline session go out before the cart is loaded
+    await this.replayPendingChanges();
     await this.loadCartState();
     this.bindQuantityEvents();
     this.bindFormEvents();
@@ -31,6 +232,8 @@ class PersistentCart {
     
     // Start bidirectional sync monitoring for multi-device support
     this.startBidirectionalSync();
+
+    window.addEventListener('online', () => this.handleOnline());
     
     // Calculate subtotal immediately after cart state is loaded
     this.updateInitialSubtotal();
@@ -59,68 +262,48 @@ class PersistentCart {
       console.log('Current cart data:', cartData);
       
       // Convert cart items to quantity map
-      const cartQuantities = this.extractQuantitiesFromCart(cartData);
+      let cartQuantities = this.extractQuantitiesFromCart(cartData);
       console.log('Cart quantities:', cartQuantities);
       
-      // Load any additional metafield data for customers
-      let metafieldQuantities = {};
-      if (this.isCustomer) {
-        metafieldQuantities = await this.loadQuantitiesFromMetafields();
-        console.log('Metafield quantities:', metafieldQuantities);
-      }
-      
-      // BIDIRECTIONAL SYNC: Check if cart has items that metafields don't know about
-      // This handles the edge case where items were added on another device through cart directly
-      const cartHasNewItems = this.detectNewCartItems(cartQuantities, metafieldQuantities);
-      if (cartHasNewItems && this.isCustomer) {
-        console.log('🔄 Detected new cart items not in metafields - syncing metafields with cart...');
-        await this.saveQuantitiesToMetafields(cartQuantities);
-        metafieldQuantities = cartQuantities; // Update local reference
+      // Cart as Source of Truth Logic for guests
+      let finalQuantities = { ...cartQuantities };
+
+      // Guests: the quick order is kept in this browser. Rebuild the cart from it when the
+      // store cart has expired or been cleared.
+      if (!this.isCustomer && this.guestCarts.enabled) {
+        const guestQuantities = this.loadGuestCart()?.quantities || {};
+        if (Object.keys(cartQuantities).length === 0 && Object.keys(guestQuantities).length > 0) {
+          console.log('👤 Restoring guest quick order to the cart:', guestQuantities);
+          await this.restoreItemsToCart(guestQuantities);
+          finalQuantities = { ...guestQuantities };
+        } else {
+          this.saveGuestCart(cartQuantities);
+        }
       }
-      
-      // Cart as Source of Truth Logic (No auto-restore from metafields)
-      // Cart is ALWAYS the source of truth, metafields are just a mirror
-      let finalQuantities = {};
-      
-      // Always use cart quantities as the final truth
-      finalQuantities = { ...cartQuantities };
-      console.log('✅ Using cart as source of truth - displaying cart quantities');
-      
-      // Smart sync logic for new device vs genuine deletions
-      if (this.isCustomer) {
-        const metafieldsOutOfSync = 
-          JSON.stringify(cartQuantities) !== JSON.stringify(metafieldQuantities);
-        const cartHasItems = Object.values(cartQuantities).some(qty => qty > 0);
-        const metafieldsHaveItems = Object.values(metafieldQuantities).some(qty => qty > 0);
-        
-        if (metafieldsOutOfSync) {
-          // Check if this is a new device login (empty cart but metafields have items)
-          if (!cartHasItems && metafieldsHaveItems) {
-            // Check if this is first page load (no user interaction yet)
-            const hasUserInteracted = sessionStorage.getItem('cart_user_interacted');
-            
-            if (!hasUserInteracted) {
-              // New device/first load - use metafields as starting point
-              console.log('📱 New device detected - loading from metafields...');
-              finalQuantities = { ...metafieldQuantities };
-              
-              // Trigger cross-device sync to restore cart from metafields
-              setTimeout(() => {
-                this.performBidirectionalSync().catch(error => {
-                  console.error('❌ New device sync error:', error);
-                });
-              }, 100);
-            } else {
-              // User has interacted - this is a genuine deletion
-              console.log('🗑️ Genuine deletion detected - syncing metafields to empty cart');
-              await this.saveQuantitiesToMetafields(cartQuantities);
-            }
-          } else {
-            // Cart has items or both are empty - sync metafields to match cart
-            console.log('⚠️ Syncing metafields to match cart state...');
-            await this.saveQuantitiesToMetafields(cartQuantities);
-          }
+
+      // Customers: merge this device's cart with the saved cart per variant. Items added to
+      // or removed from this cart since the last sync win over older saves; variants changed
+      // on another device since then win over this (stale) cart, so a new device is filled in.
+      if (this.isCustomer && !navigator.onLine) {
+        // Offline: show the last known cart; it is merged once the connection is back
+        console.log('📴 Offline - showing the last synced cart');
+        finalQuantities = this.quantitiesFromLines(this.pendingLines || this.syncedLines);
+      } else if (this.isCustomer) {
+        await this.loadQuantitiesFromMetafields();
+
+        // Fill order details this device's cart doesn't have before metafields are re-saved
+        await window.orderDetailsForm?.apply(this.metafieldOrderDetails);
+
+        // A quick order built as a guest in this browser is merged in once, after login
+        const guestCart = this.guestCarts.enabled ? this.loadGuestCart() : null;
+        if (guestCart && Object.keys(guestCart.quantities || {}).length > 0) {
+          await this.mergeGuestCart(guestCart.quantities);
+          cartQuantities = this.extractQuantitiesFromCart(await this.fetchCurrentCart());
         }
+
+        const mergedLines = this.mergeCartLines(this.stampLines(cartQuantities), this.serverLines);
+        await this.syncToMergedLines(mergedLines, cartQuantities, this.serverLines);
+        finalQuantities = this.quantitiesFromLines(mergedLines);
       }
       
       // Update local cart state tracking (no localStorage needed)
@@ -133,7 +316,6 @@ class PersistentCart {
       
       // Update cart icon with current cart state (no auto-restore)
       this.updateCartIcon(cartData);
-      console.log('✅ Cart state loaded - displaying cart quantities without auto-restore');
       
       console.log('✅ Cart state loaded and synced');
       
@@ -253,26 +435,100 @@ class PersistentCart {
         console.error('❌ Initial sync error:', error);
       }
     }, 100); // Ultra fast - immediate sync
-    
-    // Additional rapid sync in first 10 seconds for new device loading
-    setTimeout(async () => {
+
+    this.addSyncTriggers();
+
+    // Polling picks up other devices' saves every 5 seconds until the cart event stream is
+    // connected, then slows to a safety net: the app proxy may buffer the stream without an
+    // error, and the app only pushes saves it handled itself.
+    this.startSyncPolling(5000);
+    if ('EventSource' in window) {
+      this.startCartEventStream();
+    }
+  }
+
+  // Subscribe to "cart changed" events from the app. Each event carries the saved cart
+  // version, so we only fetch the cart when another device saved a newer one.
+  startCartEventStream() {
+    console.log('📡 Subscribing to cart change events...');
+
+    let opened = false;
+    let failures = 0;
+    const eventSource = new EventSource(this.cartUrl('/events'));
+    this.cartEventSource = eventSource;
+
+    // Also fires when the stream reconnects
+    eventSource.addEventListener('open', () => {
+      opened = true;
+      failures = 0;
+      if (this.cartEventSource === eventSource) {
+        this.startSyncPolling(60000);
+      }
+    });
+
+    eventSource.addEventListener('cart', (event) => {
+      let change;
       try {
-        console.log('🚀 Running secondary rapid sync...');
-        await this.performBidirectionalSync();
+        change = JSON.parse(event.data);
       } catch (error) {
-        console.error('❌ Secondary sync error:', error);
+        return;
       }
-    }, 2000); // 2 seconds backup
-    
-    // Check for cross-device changes every 5 seconds for fast sync
+
+      // All of the customer's carts report on this stream
+      if (change.listChanged) {
+        window.cartSwitcher?.loadCarts();
+      }
+      // Shared cart saves carry the company location; the buyer's own carts don't
+      const isActiveCart = this.sharedLocationId
+        ? String(change.companyLocationId) === String(this.sharedLocationId)
+        : !change.companyLocationId && (!this.cartId || !change.cartId || change.cartId === this.cartId);
+
+      if (isActiveCart && change.version > this.cartVersion && !this.isSaving && !this.isSwitchingCart) {
+        console.log(`📡 Cart saved on another device or by a colleague (v${change.version}) - syncing...`);
+        this.performBidirectionalSync().catch(error => {
+          console.error('❌ Cart event sync error:', error);
+        });
+      }
+    });
+
+    // EventSource reconnects by itself when the server ends a stream; poll quickly until it
+    // does. If the stream never opens, or keeps failing, the proxy does not support
+    // streaming - leave it to polling.
+    eventSource.addEventListener('error', () => {
+      if (this.cartEventSource !== eventSource) return;
+      failures += 1;
+      this.startSyncPolling(5000);
+      if (!opened || failures >= 3) {
+        console.log('⚠️ Cart event stream unavailable - relying on polling');
+        this.stopCartEventStream();
+      }
+    });
+  }
+
+  stopCartEventStream() {
+    if (this.cartEventSource) {
+      this.cartEventSource.close();
+      this.cartEventSource = null;
+    }
+  }
+
+  // Check for cross-device changes every `delay` ms, replacing a poll at another rate
+  startSyncPolling(delay) {
+    if (this.syncInterval && this.syncIntervalDelay === delay) return;
+
+    clearInterval(this.syncInterval);
+    this.syncIntervalDelay = delay;
     this.syncInterval = setInterval(async () => {
       try {
         await this.performBidirectionalSync();
       } catch (error) {
         console.error('❌ Bidirectional sync error:', error);
       }
-    }, 5000); // 5 seconds - fast cross-device experience
+    }, delay);
+  }
 
+  // Sync straight away when the shopper comes back to the page
+  addSyncTriggers() {
     // Also sync when page becomes visible (user switches back to tab)
     document.addEventListener('visibilitychange', () => {
       if (!document.hidden && this.isCustomer) {
@@ -299,104 +555,285 @@ class PersistentCart {
 
   // Perform bidirectional sync check
   async performBidirectionalSync() {
+    // Offline changes are sent first; merging before that would treat them as missing
+    if (this.pendingChanges?.size > 0 || this.isSwitchingCart) return;
+
     try {
       const cartData = await this.fetchCurrentCart();
       const cartQuantities = this.extractQuantitiesFromCart(cartData);
       
-      // Get full metafield data (including timestamp)
+      // Get full metafield data (including per-variant lines)
       const metafieldResponse = await this.fetchMetafieldData();
-      const metafieldQuantities = metafieldResponse.quantities || {};
+      if (!metafieldResponse) return;
       const metafieldTimestamp = metafieldResponse.timestamp;
 
-      // Check for any differences (additions, deletions, or quantity changes)
-      const hasChanges = this.detectQuantityDifferences(cartQuantities, metafieldQuantities);
-      
-      if (hasChanges) {
-        console.log('🔄 Cross-device changes detected - performing bidirectional sync...');
+      // Colleagues editing a shared cart are other writers, merged per variant like devices
+      this.reportColleagueChanges(metafieldResponse.lines);
+
+      // Every branch below resolves against this copy, so saves are based on its version
+      this.cartId = metafieldResponse.cartId;
+      this.cartVersion = metafieldResponse.version;
+      this.serverLines = metafieldResponse.lines;
+
+      // Variants changed in this device's cart since the last sync get fresh timestamps, then
+      // each variant takes whichever side changed it last
+      const localLines = this.stampLines(cartQuantities);
+      if (this.linesDiffer(localLines, metafieldResponse.lines)) {
+        console.log('🔄 Cross-device changes detected - merging per variant...');
         console.log('📊 Cart quantities:', cartQuantities);
-        console.log('📊 Metafield quantities:', metafieldQuantities);
-        
-        // Smart conflict resolution based on timestamp comparison
-        const localTimestamp = this.localTimestamp ? new Date(this.localTimestamp).getTime() : 0;
-        const metafieldTimestampMs = metafieldTimestamp ? new Date(metafieldTimestamp).getTime() : 0;
-        const timestampDifference = metafieldTimestampMs - localTimestamp;
-        
-        console.log(`🕐 Conflict resolution timestamps:`);
-        console.log(`   - Local timestamp: ${this.localTimestamp} (${localTimestamp})`);
-        console.log(`   - Metafield timestamp: ${metafieldTimestamp} (${metafieldTimestampMs})`);
-        console.log(`   - Timestamp difference: ${timestampDifference}ms (positive = metafield newer)`);
-        
-        // Compare timestamps to determine source of truth
-        if (timestampDifference > 5000) {
-          // Metafield is significantly newer (>5 seconds) - genuine cross-device change
-          console.log('🎯 Metafield is newer - using metafield as source of truth for cross-device sync');
-          await this.syncCartToMetafields(metafieldQuantities, cartQuantities);
-          
-          // Update the UI to reflect changes
-          this.restoreQuantitiesToInputs(metafieldQuantities);
-        } else if (timestampDifference < -5000) {
-          // Local is significantly newer (>5 seconds) - local changes not yet synced
-          console.log('🎯 Local changes are newer - using cart as source of truth');
-          
-          // Sync metafields to match cart (cart wins)
-          const quantitiesToSave = this.getCurrentQuantities();
-          if (Object.keys(quantitiesToSave).length > 0) {
-            await this.saveQuantitiesToMetafields(quantitiesToSave);
-            console.log('📤 Cart synced to metafields (local was source of truth)');
-          }
-        } else {
-          // Timestamps are very close (within 5 seconds) - prefer cart to avoid conflicts
-          console.log('🎯 Timestamps are close - using cart as source of truth to prevent conflicts');
-          
-          // Sync metafields to match cart (cart wins)
-          const quantitiesToSave = this.getCurrentQuantities();
-          if (Object.keys(quantitiesToSave).length > 0) {
-            await this.saveQuantitiesToMetafields(quantitiesToSave);
-            console.log('📤 Cart synced to metafields (conflict prevention)');
-          }
-        }
+        console.log('📊 Metafield quantities:', metafieldResponse.quantities);
+
+        const mergedLines = this.mergeCartLines(localLines, metafieldResponse.lines);
+        await this.syncToMergedLines(mergedLines, cartQuantities, metafieldResponse.lines);
         
         console.log('✅ Bidirectional sync completed');
+      } else {
+        this.setSyncedLines(metafieldResponse.lines);
       }
+
+      await this.syncOrderDetails(metafieldResponse.orderDetails, metafieldTimestamp);
     } catch (error) {
       console.error('❌ Error in bidirectional sync:', error);
     }
   }
 
-  // Merge quantities from cart and metafields (taking the maximum as the latest)
-  mergeQuantities(cartQuantities, metafieldQuantities) {
-    const merged = {};
-    
-    // Add all cart quantities
-    Object.entries(cartQuantities).forEach(([variantId, qty]) => {
-      merged[variantId] = qty;
+  // Order details edited on another device win when the metafield is newer than our last save
+  async syncOrderDetails(metafieldOrderDetails, metafieldTimestamp) {
+    if (!metafieldOrderDetails || !window.orderDetailsForm) return;
+
+    const localTimestamp = this.localTimestamp ? new Date(this.localTimestamp).getTime() : 0;
+    const metafieldTimestampMs = metafieldTimestamp ? new Date(metafieldTimestamp).getTime() : 0;
+    const detailsChanged = JSON.stringify(metafieldOrderDetails) !== JSON.stringify(window.orderDetailsForm.getValues());
+
+    if (detailsChanged && metafieldTimestampMs - localTimestamp > 5000) {
+      console.log('📝 Order details changed on another device - updating form and cart');
+      this.metafieldOrderDetails = metafieldOrderDetails;
+      await window.orderDetailsForm.apply(metafieldOrderDetails, { overwrite: true });
+    }
+  }
+
+  // Order details to store with the quantities; falls back to the last metafield copy
+  // when the details form is not on the page so a save doesn't wipe them
+  getOrderDetails() {
+    if (window.orderDetailsForm && window.orderDetailsForm.fields.length > 0) {
+      return window.orderDetailsForm.getValues();
+    }
+    return this.metafieldOrderDetails || {};
+  }
+
+  // Random id for this browser, so merges can tell devices apart
+  getDeviceId() {
+    const newId = () => (window.crypto?.randomUUID ? window.crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    try {
+      let deviceId = localStorage.getItem('quick_order_device_id');
+      if (!deviceId) {
+        deviceId = newId();
+        localStorage.setItem('quick_order_device_id', deviceId);
+      }
+      return deviceId;
+    } catch (error) {
+      return newId();
+    }
+  }
+
+  // The cart switcher's choice is kept per browser, so each device can work on a different job.
+  // Stored as JSON { cartId, companyLocationId }; a bare string is a named cart's id.
+  loadActiveCart() {
+    const none = { cartId: null, companyLocationId: null };
+    if (!this.isCustomer) return none;
+    let stored = null;
+    try {
+      stored = localStorage.getItem(`quick_order_active_cart_${this.customerId}`);
+      const activeCart = JSON.parse(stored);
+      return activeCart && typeof activeCart === 'object' ? { ...none, ...activeCart } : none;
+    } catch (error) {
+      return { ...none, cartId: stored || null };
+    }
+  }
+
+  setActiveCart(cartId, companyLocationId = null) {
+    this.activeCartId = companyLocationId ? null : cartId || null;
+    this.sharedLocationId = companyLocationId || null;
+    try {
+      if (this.activeCartId || this.sharedLocationId) {
+        localStorage.setItem(`quick_order_active_cart_${this.customerId}`, JSON.stringify({
+          cartId: this.activeCartId,
+          companyLocationId: this.sharedLocationId
+        }));
+      } else {
+        localStorage.removeItem(`quick_order_active_cart_${this.customerId}`);
+      }
+    } catch (error) {
+      // Storage disabled - the next page load opens the default cart
+    }
+    this.syncedLines = this.loadSyncedLines();
+  }
+
+  // Cart API URL for the active cart; requests without a cartId use the default cart, and
+  // requests with a companyLocationId the location's shared cart
+  cartUrl(path = '') {
+    let query = '';
+    if (this.sharedLocationId) {
+      query = `?companyLocationId=${encodeURIComponent(this.sharedLocationId)}`;
+    } else if (this.activeCartId) {
+      query = `?cartId=${encodeURIComponent(this.activeCartId)}`;
+    }
+    return `${this.cartEndpoint}${path}${query}`;
+  }
+
+  // Kept across page loads so items that are merely stale in this device's cart are not
+  // mistaken for edits made on this device. Each named or shared cart has its own baseline.
+  syncedLinesKey() {
+    let cartSuffix = '';
+    if (this.sharedLocationId) {
+      cartSuffix = `_location_${this.sharedLocationId}`;
+    } else if (this.activeCartId) {
+      cartSuffix = `_${this.activeCartId}`;
+    }
+    return `quick_order_synced_lines_${this.customerId}${cartSuffix}`;
+  }
+
+  loadSyncedLines() {
+    if (!this.isCustomer) return {};
+    try {
+      return JSON.parse(localStorage.getItem(this.syncedLinesKey())) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  setSyncedLines(lines) {
+    this.syncedLines = { ...lines };
+    this.renderLineAttribution(lines);
+    try {
+      localStorage.setItem(this.syncedLinesKey(), JSON.stringify(lines));
+    } catch (error) {
+      // Storage disabled or full - merges on the next page load treat the whole cart as new
+    }
+  }
+
+  // Shared carts: "Added by" under each line's quantity. Lines of the buyer's own carts have no
+  // attribution, so the labels go away when they switch back to one of them.
+  renderLineAttribution(lines) {
+    document.querySelectorAll('.qo-line-attribution').forEach(label => label.remove());
+
+    const contactName = contact => (String(contact.customerId) === String(this.customerId) ? 'you' : contact.name);
+    Object.entries(lines).forEach(([variantId, line]) => {
+      if (!(line.quantity > 0) || !line.addedBy) return;
+      const input = document.querySelector(`input[data-variant-id="${variantId}"]`);
+      if (!input) return;
+
+      let text = `Added by ${contactName(line.addedBy)}`;
+      if (line.updatedBy && line.updatedBy.customerId !== line.addedBy.customerId) {
+        text += `, changed by ${contactName(line.updatedBy)}`;
+      }
+
+      const label = document.createElement('div');
+      label.className = 'qo-line-attribution';
+      label.textContent = text;
+      QuantityRules.getQuantityCell(input)?.appendChild(label);
     });
-    
-    // Merge with metafield quantities (take higher quantity as more recent)
-    Object.entries(metafieldQuantities).forEach(([variantId, qty]) => {
-      if (qty > 0) {
-        merged[variantId] = Math.max(merged[variantId] || 0, qty);
+  }
+
+  // Shared carts: name the colleagues whose changes arrived since this device last synced
+  reportColleagueChanges(serverLines) {
+    if (!this.sharedLocationId) return;
+
+    const names = new Set();
+    Object.entries(serverLines).forEach(([variantId, line]) => {
+      const synced = this.syncedLines[variantId];
+      const changed = !synced || synced.quantity !== line.quantity || synced.updatedAt !== line.updatedAt;
+      if (changed && line.updatedBy && String(line.updatedBy.customerId) !== String(this.customerId)) {
+        names.add(line.updatedBy.name);
+      }
+    });
+
+    if (names.size > 0) {
+      const escape = value => {
+        const div = document.createElement('div');
+        div.textContent = value;
+        return div.innerHTML;
+      };
+      this.showToast(`${escape(Array.from(names).join(', '))} updated the shared cart.`, 'info');
+    }
+  }
+
+  // Lines for the given quantities. Variants whose quantity differs from the last synced lines
+  // were changed on this device and are stamped now; removed variants become tombstones.
+  stampLines(quantities, baseLines = this.pendingLines || this.syncedLines) {
+    const updatedAt = new Date().toISOString();
+    const lines = { ...baseLines };
+
+    new Set([...Object.keys(baseLines), ...Object.keys(quantities)]).forEach(variantId => {
+      const quantity = quantities[variantId] || 0;
+      if (quantity !== (baseLines[variantId]?.quantity || 0)) {
+        lines[variantId] = { quantity, updatedAt, deviceId: this.deviceId };
+      }
+    });
+
+    return lines;
+  }
+
+  // Last writer wins per variant. Equal timestamps fall back to the device id so every
+  // device settles on the same line.
+  mergeCartLines(localLines, serverLines) {
+    const merged = { ...serverLines };
+
+    Object.entries(localLines).forEach(([variantId, localLine]) => {
+      const serverLine = serverLines[variantId];
+      if (!serverLine || this.compareLines(localLine, serverLine) > 0) {
+        merged[variantId] = localLine;
       }
     });
     
-    console.log('🔀 Merged quantities:', merged);
+    console.log('🔀 Merged cart lines:', merged);
     return merged;
   }
 
-  // Sync both cart and metafields to the merged state
-  async syncToMergedState(mergedQuantities, currentCartQuantities, currentMetafieldQuantities) {
+  compareLines(a, b) {
+    const timeDifference = new Date(a.updatedAt).getTime() - new Date(b.updatedAt).getTime();
+    if (timeDifference !== 0) return timeDifference;
+    return String(a.deviceId).localeCompare(String(b.deviceId));
+  }
+
+  linesDiffer(a, b) {
+    const variantIds = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return Array.from(variantIds).some(variantId => {
+      const lineA = a[variantId];
+      const lineB = b[variantId];
+      return !lineA || !lineB ||
+        lineA.quantity !== lineB.quantity ||
+        lineA.updatedAt !== lineB.updatedAt ||
+        lineA.deviceId !== lineB.deviceId;
+    });
+  }
+
+  quantitiesFromLines(lines) {
+    const quantities = {};
+    Object.entries(lines).forEach(([variantId, line]) => {
+      if (line.quantity > 0) {
+        quantities[variantId] = line.quantity;
+      }
+    });
+    return quantities;
+  }
+
+  // Bring the cart and the saved cart to the merged lines
+  async syncToMergedLines(mergedLines, currentCartQuantities, serverLines) {
+    const mergedQuantities = this.quantitiesFromLines(mergedLines);
+
     // Update cart if it differs from merged state
-    const cartNeedsUpdate = JSON.stringify(currentCartQuantities) !== JSON.stringify(mergedQuantities);
-    if (cartNeedsUpdate) {
-      console.log('🛒 Updating cart to merged state...');
-      await this.updateCartToQuantities(mergedQuantities);
+    if (this.detectQuantityDifferences(currentCartQuantities, mergedQuantities)) {
+      console.log('🛒 Updating cart to merged lines...');
+      await this.syncCartToMetafields(mergedQuantities, currentCartQuantities);
     }
     
-    // Update metafields if they differ from merged state
-    const metafieldsNeedUpdate = JSON.stringify(currentMetafieldQuantities) !== JSON.stringify(mergedQuantities);
-    if (metafieldsNeedUpdate) {
-      console.log('💾 Updating metafields to merged state...');
-      await this.saveQuantitiesToMetafields(mergedQuantities);
+    // Save if this device won any variant
+    if (this.linesDiffer(mergedLines, serverLines)) {
+      console.log('💾 Saving merged lines...');
+      await this.saveQuantitiesToMetafields(mergedQuantities, 0, mergedLines);
+    } else {
+      this.setSyncedLines(mergedLines);
     }
   }
 
@@ -443,17 +880,12 @@ class PersistentCart {
       if (Object.keys(updates).length > 0) {
         console.log('🔄 Applying cart updates:', updates);
         
-        const response = await fetch('/cart/update.js', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ updates })
-        });
-        
-        if (response.ok) {
-          const updatedCart = await response.json();
-          this.updateCartIcon(updatedCart);
-          console.log('✅ Cart updated successfully');
+        const result = await this.cartMutations.setQuantities(updates);
+        if (result.cart) {
+          this.updateCartIcon(result.cart);
         }
+        this.reportCartFailures(result.failed);
+        console.log(`✅ Cart updated: ${result.succeeded.length} lines applied`);
       }
     } catch (error) {
       console.error('❌ Error updating cart to quantities:', error);
@@ -581,6 +1013,7 @@ class PersistentCart {
     
     // Then set the correct quantities from cart
     let updatedCount = 0;
+    const missingVariantIds = [];
     Object.entries(quantities).forEach(([variantId, quantity]) => {
       const input = document.querySelector(`input[data-variant-id="${variantId}"], input[name="updates[${variantId}]"]`);
       if (input) {
@@ -591,10 +1024,25 @@ class PersistentCart {
         input.dispatchEvent(new Event('change', { bubbles: true }));
       } else {
         console.log(`⚠️ Input not found for variant ${variantId}`);
+        missingVariantIds.push(variantId);
       }
     });
     
     console.log(`🎯 Updated ${updatedCount} out of ${Object.keys(quantities).length} quantities`);
+
+    // Variants outside the Liquid-rendered catalog get their rows from the search endpoint
+    if (missingVariantIds.length > 0 && window.quickOrderSearch) {
+      window.quickOrderSearch.ensureVariants({ variantIds: missingVariantIds }).then(() => {
+        missingVariantIds.forEach(variantId => {
+          const input = document.querySelector(`input[data-variant-id="${variantId}"]`);
+          if (input) {
+            input.value = quantities[variantId] || 0;
+            window.priceCalculator?.updateRowTotal(input.closest('.table-row, .product-row, .variant-row'));
+          }
+        });
+        window.priceCalculator?.updateSubtotal();
+      });
+    }
     
     console.log('✅ All quantities synced with cart state');
     
@@ -878,13 +1326,15 @@ class PersistentCart {
           if (isIncrease) {
             // Get max stock for validation
             const stockQuantity = parseInt(quantityInput.dataset.stockQuantity) || 999999;
-            newValue = Math.min(currentValue + 1, stockQuantity);
+            newValue = QuantityRules.step(quantityInput, currentValue, 1, stockQuantity);
           } else {
-            newValue = Math.max(currentValue - 1, 0);
+            newValue = QuantityRules.step(quantityInput, currentValue, -1);
           }
           
           // Only proceed if value actually changed
           if (newValue !== currentValue) {
+            QuantityRules.clearMessage(quantityInput);
+
             // Update the input value
             quantityInput.value = newValue;
             
@@ -923,13 +1373,23 @@ class PersistentCart {
           window.persistentCart.localTimestamp = new Date().toISOString();
         }
         
+        // Round typed values to the quantity rule (min / max / increment) once editing is done
+        let requestedQuantity = parseInt(e.target.value) || 0;
+        const ruleValidation = QuantityRules.validate(e.target, requestedQuantity);
+        if (!ruleValidation.isValid) {
+          requestedQuantity = ruleValidation.suggestedQuantity;
+          e.target.value = requestedQuantity;
+          QuantityRules.showMessage(e.target, `${ruleValidation.message} - adjusted to ${requestedQuantity}`, 'info');
+        } else {
+          QuantityRules.clearMessage(e.target);
+        }
+        
         // IMMEDIATE stock validation BEFORE any processing to prevent price flickering
-        const requestedQuantity = parseInt(e.target.value) || 0;
         const stockValidation = this.validateStock(e.target, requestedQuantity);
         
         if (!stockValidation.isValid && requestedQuantity > 0) {
           // Immediately correct the quantity BEFORE any calculations
-          const maxAvailable = stockValidation.maxAvailable;
+          const maxAvailable = QuantityRules.round(e.target, stockValidation.maxAvailable, stockValidation.maxAvailable);
           e.target.value = maxAvailable;
           e.target.setAttribute('value', maxAvailable);
           
@@ -960,6 +1420,15 @@ class PersistentCart {
         
         // Update row subtotal with the final validated quantity (no flickering)
         this.updateRowSubtotalImmediate(e.target);
+
+        // Flag quantity rule violations while typing; the change event rounds the value
+        const ruleValidation = QuantityRules.validate(e.target, parseInt(e.target.value) || 0);
+        if (!ruleValidation.isValid) {
+          clearTimeout(this.saveTimeout);
+          QuantityRules.showMessage(e.target, ruleValidation.message);
+          return;
+        }
+        QuantityRules.clearMessage(e.target);
         
         // Instant cart update with minimal debounce (50ms) for performance
         clearTimeout(this.saveTimeout);
@@ -977,11 +1446,13 @@ class PersistentCart {
     });
   }
 
-  // Handle quantity change - update cart and metafields
+  // Handle quantity change - update cart and metafields. Resolves to true once the quantity
+  // is in the cart (or queued while offline), false when the quantity rule or stock check
+  // rejected it or the update failed.
   async handleQuantityChange(input) {
     // Prevent handling the same change multiple times
     if (this.isHandlingChange) {
-      return;
+      return false;
     }
     
     this.isHandlingChange = true;
@@ -992,6 +1463,13 @@ class PersistentCart {
       
       console.log(`Quantity changed for variant ${variantId}: ${newQuantity}`);
       
+      // Quantities that break the variant's quantity rule never reach the cart
+      const ruleValidation = QuantityRules.validate(input, newQuantity);
+      if (!ruleValidation.isValid) {
+        QuantityRules.showMessage(input, ruleValidation.message);
+        return false;
+      }
+      
       // Validate stock before proceeding
       const stockValidation = this.validateStock(input, newQuantity);
       if (!stockValidation.isValid) {
@@ -1003,18 +1481,20 @@ class PersistentCart {
         this.updateRowSubtotalImmediate(input);
         
         this.showToast(stockValidation.message, 'error');
-        return;
+        return false;
       }
       
       // Immediately update the row subtotal for live streaming effect
       this.updateRowSubtotalImmediate(input);
       
       // Update the cart with new quantity
-      await this.updateCartQuantity(variantId, newQuantity);
+      const cartResult = await this.updateCartQuantity(variantId, newQuantity);
       
-      // Fetch updated cart data to get accurate totals
-      const updatedCartData = await this.fetchCurrentCart();
-      this.updateCartIcon(updatedCartData);
+      // Fetch updated cart data to get accurate totals (not possible while the change is queued)
+      const updatedCartData = cartResult ? await this.fetchCurrentCart() : null;
+      if (updatedCartData) {
+        this.updateCartIcon(updatedCartData);
+      }
       
       // Save current state to metafields
       await this.saveCurrentQuantities();
@@ -1023,14 +1503,25 @@ class PersistentCart {
       document.dispatchEvent(new CustomEvent('cartUpdated', {
         detail: { variantId, newQuantity, cartData: updatedCartData }
       }));
-      
+      return true;
     } catch (error) {
       console.error('Error handling quantity change:', error);
+      return false;
     } finally {
       this.isHandlingChange = false;
     }
   }
 
+  // Validate a quantity against the variant's quantity rule (min / max / increment)
+  validateQuantityRule(input, requestedQuantity) {
+    return QuantityRules.validate(input, requestedQuantity);
+  }
+
+  // Nearest quantity allowed by the variant's quantity rule, optionally limited by stock
+  roundToQuantityRule(input, quantity, limit = null) {
+    return QuantityRules.round(input, quantity, limit);
+  }
+
   // Validate stock quantity before updating cart
   validateStock(input, requestedQuantity) {
     const variantId = input.dataset.variantId || input.name.match(/\[(\d+)\]/)?.[1];
@@ -1110,8 +1601,9 @@ class PersistentCart {
     const priceElement = row.querySelector('.qo-price-value, .price');
     if (priceElement) {
       if (priceElement.dataset.price) {
-        // Price in cents from Shopify
-        price = parseInt(priceElement.dataset.price) / 100;
+        // Price in cents from Shopify, tiered by quantity
+        price = PriceTiers.getUnitPrice(priceElement, quantity) / 100;
+        PriceTiers.updateActive(priceElement, quantity);
       } else {
         // Parse price from text
         const priceText = priceElement.textContent || '';
@@ -1213,38 +1705,32 @@ class PersistentCart {
     }, 5000);
   }
 
-  // Update cart quantity via Shopify Cart API
-  async updateCartQuantity(variantId, quantity) {
+  // Update cart quantity via Shopify Cart API. Without a connection the change is queued
+  // and null is returned.
+  async updateCartQuantity(variantId, quantity, { replaying = false } = {}) {
+    if (!replaying && this.shouldQueueChange()) {
+      await this.pendingChanges.add('cart', { variantId, quantity });
+      return null;
+    }
+
     try {
-      const updates = {};
-      updates[variantId] = quantity;
-      
-      const response = await fetch('/cart/update.js', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ updates })
-      });
-      
-      if (response.ok) {
-        const cartData = await response.json();
-        console.log(`✅ Cart updated for variant ${variantId}: ${quantity}`);
-        
-        // Trigger cart updated event for theme compatibility
-        document.dispatchEvent(new CustomEvent('cart:updated', {
-          detail: { cart: cartData }
-        }));
+      // Changes to other variants made at the same moment (bulk entry) share one request
+      const result = await this.cartMutations.setQuantity(variantId, quantity);
+      if (result.failed.length > 0) {
+        throw new Error(result.failed[0].message);
+      }
+
+      console.log(`✅ Cart updated for variant ${variantId}: ${quantity}`);
         
-        // Update cart icon immediately
-        this.updateCartIcon(cartData);
+      // Update cart icon immediately
+      this.updateCartIcon(result.cart);
         
-        return cartData;
-      } else {
-        throw new Error('Failed to update cart');
-      }
-      
+      return result.cart;
     } catch (error) {
+      if (!replaying && this.pendingChanges && window.PendingChangeQueue.isNetworkError(error)) {
+        await this.pendingChanges.add('cart', { variantId, quantity });
+        return null;
+      }
       console.error('Error updating cart:', error);
       throw error;
     }
@@ -1436,8 +1922,8 @@ class PersistentCart {
       console.log('💾 Quantities changed, saving to metafields...');
       sessionStorage.setItem('last_cart_update', Date.now().toString());
       
-      // Only save for logged in customers to metafields
-      if (this.isCustomer) {
+      // Save for logged in customers to metafields, and for guests to this browser
+      if (this.isCustomer || this.guestCarts.enabled) {
         await this.saveQuantitiesToMetafields(quantities);
       } else {
         console.log('⚠️ Not a logged in customer - skipping quantity save');
@@ -1449,20 +1935,15 @@ class PersistentCart {
 
   // Metafield methods for quantities (localStorage removed)
 
-  // Fetch full metafield data including timestamp
+  // Fetch full metafield data including per-variant lines; null when it can't be loaded
   async fetchMetafieldData() {
     try {
       if (!this.customerId || this.customerId === 'null' || this.customerId === null) {
-        console.log('⚠️ No customer ID available, returning empty metafield data');
-        return { quantities: {}, timestamp: null };
+        console.log('⚠️ No customer ID available, skipping metafield fetch');
+        return null;
       }
       
-      const response = await fetch(`/apps/quick-order/cart-metafields?customerId=${this.customerId}`, {
-        method: 'GET',
-        headers: { 
-          'Content-Type': 'application/json'
-        }
-      });
+      const response = await this.fetchSavedCart();
 
       if (response.ok) {
         const data = await response.json();
@@ -1470,19 +1951,42 @@ class PersistentCart {
         const metafieldQuantities = data.cartData && data.cartData.quantities ? data.cartData.quantities : {};
         
         return {
+          cartId: data.cartData?.cartId || null,
           quantities: metafieldQuantities,
-          timestamp: metafieldTimestamp
+          lines: data.cartData?.lines || {},
+          timestamp: metafieldTimestamp,
+          orderDetails: data.cartData?.orderDetails || null,
+          version: data.cartData?.version || 0
         };
       } else {
         console.error('❌ Failed to fetch metafield data');
-        return { quantities: {}, timestamp: null };
+        return null;
       }
     } catch (error) {
       console.error('❌ Error fetching metafield data:', error);
-      return { quantities: {}, timestamp: null };
+      return null;
     }
   }
 
+  // GET the active cart. A named cart deleted on another device, or a shared cart the buyer
+  // can no longer open, falls back to the default cart; this device's items are then merged
+  // into it, so nothing is lost.
+  async fetchSavedCart() {
+    const request = () => fetch(this.cartUrl(), {
+      method: 'GET',
+      headers: { 'Content-Type': 'application/json' }
+    });
+
+    const response = await request();
+    if ([403, 404].includes(response.status) && (this.activeCartId || this.sharedLocationId)) {
+      console.log('⚠️ Active cart is no longer available - switching to the default cart');
+      this.setActiveCart(null);
+      this.showToast('The cart you were using is no longer available, so your default cart is open.', 'info');
+      return request();
+    }
+    return response;
+  }
+
   // Metafield methods for quantities (from original persistent-cart.js)
   async loadQuantitiesFromMetafields() {
     try {
@@ -1495,12 +1999,7 @@ class PersistentCart {
         return {};
       }
       
-      const response = await fetch(`/apps/quick-order/cart-metafields?customerId=${this.customerId}`, {
-        method: 'GET',
-        headers: { 
-          'Content-Type': 'application/json'
-        }
-      });
+      const response = await this.fetchSavedCart();
 
       if (response.ok) {
         const data = await response.json();
@@ -1517,6 +2016,10 @@ class PersistentCart {
         if (metafieldTimestamp) {
           this.lastMetafieldTimestamp = metafieldTimestamp;
         }
+        this.metafieldOrderDetails = data.cartData?.orderDetails || null;
+        this.cartId = data.cartData?.cartId || null;
+        this.cartVersion = data.cartData?.version || 0;
+        this.serverLines = data.cartData?.lines || {};
         
         return metafieldQuantities;
       } else {
@@ -1529,48 +2032,217 @@ class PersistentCart {
     }
   }
 
-  async saveQuantitiesToMetafields(quantities) {
+  // `lines` defaults to the quantities stamped against the last synced lines. Saves made
+  // without a connection are queued; `replaying` is set when the queue sends them.
+  // Resolves to true once the save is stored (in the app or, for guests, the browser) and
+  // false when it was queued, rejected or still conflicting after three merges.
+  async saveQuantitiesToMetafields(quantities, conflictRetries = 0, lines = this.stampLines(quantities), { replaying = false } = {}) {
     try {
       console.log('💾 Saving quantities to metafields:', quantities);
       console.log('📝 Customer ID for save:', this.customerId);
       
       // Don't save to metafields if no customer ID
       if (!this.customerId || this.customerId === 'null' || this.customerId === null) {
+        if (this.guestCarts.enabled) {
+          this.saveGuestCart(quantities);
+          this.localCartState = { ...quantities };
+          return true;
+        }
         console.log('⚠️ No customer ID available, skipping metafield save');
-        return;
+        return false;
+      }
+
+      if (!replaying && this.shouldQueueChange()) {
+        await this.queueSave(quantities, lines);
+        return false;
       }
       
       const cartData = {
         quantities: quantities,
+        orderDetails: this.getOrderDetails(),
         timestamp: new Date().toISOString()
       };
 
-      const formData = new FormData();
-      formData.append('customerId', this.customerId);
-      formData.append('cartData', JSON.stringify(cartData));
-
-      const response = await fetch('/apps/quick-order/cart-metafields', {
+      const response = await fetch(this.cartEndpoint, {
         method: 'POST',
-        body: formData
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          cartId: this.activeCartId,
+          companyLocationId: this.sharedLocationId,
+          lines: lines,
+          orderDetails: cartData.orderDetails,
+          version: this.cartVersion
+        })
       });
 
+      if (response.status === 409 && conflictRetries < 3) {
+        const conflict = await response.json();
+        return await this.resolveSaveConflict(conflict.cartData, lines, conflictRetries, { replaying });
+      }
+
       if (response.ok) {
         console.log('✅ Quantities saved to metafields successfully');
         const result = await response.json();
         console.log('Save result:', result);
         
         // Update timestamp and local cart state tracking (no localStorage needed)
-        this.lastMetafieldTimestamp = cartData.timestamp;
-        this.localTimestamp = cartData.timestamp; // For cross-device sync conflict resolution
+        this.cartId = result.cartData.cartId;
+        this.cartVersion = result.cartData.version;
+        this.lastMetafieldTimestamp = result.cartData.timestamp;
+        this.localTimestamp = result.cartData.timestamp; // For cross-device sync conflict resolution
         this.localCartState = { ...quantities };
+        this.serverLines = result.cartData.lines;
+        this.setSyncedLines(result.cartData.lines);
+        this.metafieldOrderDetails = cartData.orderDetails;
         console.log('🕐 Updated local timestamp:', this.lastMetafieldTimestamp);
-      } else {
-        console.error('❌ Failed to save quantities to metafields');
-        const errorText = await response.text();
-        console.error('Error response:', errorText);
+        return true;
       }
+
+      console.error('❌ Failed to save quantities to metafields');
+      const errorText = await response.text();
+      console.error('Error response:', errorText);
+      return false;
     } catch (error) {
+      if (this.pendingChanges && window.PendingChangeQueue.isNetworkError(error)) {
+        if (replaying) throw error;
+        await this.queueSave(quantities, lines);
+        return false;
+      }
       console.error('❌ Error saving quantities to metafields:', error);
+      return false;
+    }
+  }
+
+  // Queue changes while offline, and behind changes that are still waiting so order is kept
+  shouldQueueChange() {
+    return Boolean(this.pendingChanges) && (!navigator.onLine || this.pendingChanges.size > 0);
+  }
+
+  async queueSave(quantities, lines) {
+    this.pendingLines = lines;
+    this.localCartState = { ...quantities };
+    await this.pendingChanges.add('save', { quantities, lines });
+  }
+
+  // Send queued offline changes in the order they were made
+  async replayPendingChanges() {
+    if (!this.pendingChanges) return;
+    await this.pendingChanges.ready;
+
+    const pendingCount = this.pendingChanges.size;
+    if (navigator.onLine && pendingCount > 0) {
+      console.log(`📤 Sending ${pendingCount} pending changes...`);
+      await this.pendingChanges.replay({
+        cart: ({ variantId, quantity }) => this.updateCartQuantity(variantId, quantity, { replaying: true }),
+        save: ({ quantities, lines }) => this.saveQuantitiesToMetafields(quantities, 0, lines, { replaying: true })
+      });
+
+      if (this.pendingChanges.size === 0) {
+        this.showToast('Changes made while offline have been sent.', 'success');
+      }
+    }
+
+    // Edits made after a reload build on the changes still waiting to be sent
+    const pendingSaves = (await this.pendingChanges.list()).filter(entry => entry.type === 'save');
+    this.pendingLines = pendingSaves.length > 0 ? pendingSaves[pendingSaves.length - 1].payload.lines : null;
+  }
+
+  async handleOnline() {
+    console.log('📶 Back online');
+    await this.replayPendingChanges();
+
+    if (this.isCustomer) {
+      await this.performBidirectionalSync();
+    }
+
+    const cartData = await this.fetchCurrentCart();
+    this.updateCartIcon(cartData);
+    window.fixedCartSummary?.syncWithCart();
+  }
+
+  // Another device saved since our last load. Merge per variant - each variant keeps
+  // whichever device changed it last - then save on the new version.
+  async resolveSaveConflict(serverCartData, localLines, conflictRetries, options = {}) {
+    console.log('⚠️ Cart changed on another device - merging before saving again:', serverCartData);
+
+    const mergedLines = this.mergeCartLines(localLines, serverCartData.lines || {});
+    const mergedQuantities = this.quantitiesFromLines(mergedLines);
+
+    this.cartId = serverCartData.cartId || null;
+    this.cartVersion = serverCartData.version;
+    this.serverLines = serverCartData.lines || {};
+    this.lastMetafieldTimestamp = serverCartData.timestamp;
+
+    if (this.detectQuantityDifferences(this.quantitiesFromLines(localLines), mergedQuantities)) {
+      const cartQuantities = this.extractQuantitiesFromCart(await this.fetchCurrentCart());
+      await this.syncCartToMetafields(mergedQuantities, cartQuantities);
+      this.showToast('Your quick order was also changed on another device. Both sets of changes were kept.', 'info');
+    }
+
+    return this.saveQuantitiesToMetafields(mergedQuantities, conflictRetries + 1, mergedLines, options);
+  }
+
+  // Swap the live cart, the quick order inputs and the order details to another saved cart
+  // (null = the default cart), or to a company location's shared cart. The current cart is
+  // saved first so recent edits stay with it.
+  async switchCart(cartId, { companyLocationId = null } = {}) {
+    if (this.isSwitchingCart) return false;
+    if (!navigator.onLine || this.pendingChanges?.size > 0) {
+      this.showToast('Reconnect to switch carts - changes made offline are still being sent.', 'error');
+      return false;
+    }
+
+    this.isSwitchingCart = true;
+    const previousCart = { cartId: this.activeCartId, companyLocationId: this.sharedLocationId };
+    try {
+      clearTimeout(this.saveTimeout);
+      // Switching after a rejected or queued save would leave those edits behind (or, once
+      // the queue sends them, apply them to the new cart)
+      const saved = await this.saveQuantitiesToMetafields(this.getCurrentQuantities());
+      if (!saved) {
+        throw new Error('The current cart could not be saved');
+      }
+
+      this.setActiveCart(cartId, companyLocationId);
+      const target = await this.fetchMetafieldData();
+      if (!target) {
+        throw new Error('The cart could not be loaded');
+      }
+
+      console.log(`🗂️ Switching to cart ${target.cartId || 'default'}:`, target.quantities);
+      this.cartId = target.cartId;
+      this.cartVersion = target.version;
+      this.serverLines = target.lines;
+      this.lastMetafieldTimestamp = target.timestamp;
+      this.localTimestamp = target.timestamp;
+      this.metafieldOrderDetails = target.orderDetails;
+      this.setSyncedLines(target.lines);
+
+      const cartQuantities = this.extractQuantitiesFromCart(await this.fetchCurrentCart());
+      await this.syncCartToMetafields(target.quantities, cartQuantities);
+
+      // Each cart has its own PO number and notes; fields the cart has no value for are cleared
+      if (window.orderDetailsForm) {
+        const clearedDetails = Object.fromEntries(Object.keys(window.orderDetailsForm.getValues()).map(key => [key, '']));
+        await window.orderDetailsForm.apply({ ...clearedDetails, ...(target.orderDetails || {}) }, { overwrite: true });
+      }
+
+      // Shared carts are announced on their company location's event channel
+      if (this.cartEventSource) {
+        this.stopCartEventStream();
+        this.startCartEventStream();
+      }
+
+      this.updateCartIcon(await this.fetchCurrentCart());
+      window.fixedCartSummary?.syncWithCart();
+      return true;
+    } catch (error) {
+      console.error('❌ Error switching carts:', error);
+      this.setActiveCart(previousCart.cartId, previousCart.companyLocationId);
+      this.showToast('Could not switch carts. Please try again.', 'error');
+      return false;
+    } finally {
+      this.isSwitchingCart = false;
     }
   }
 
@@ -1578,42 +2250,134 @@ class PersistentCart {
   async restoreItemsToCart(quantities) {
     console.log('🔄 Restoring items to cart from metafields:', quantities);
     
+    const items = Object.entries(quantities)
+      .filter(([, quantity]) => quantity > 0)
+      .map(([variantId, quantity]) => ({ id: parseInt(variantId), quantity }));
+    if (items.length === 0) return;
+
     try {
-      // Add each item to cart with its saved quantity
-      for (const [variantId, quantity] of Object.entries(quantities)) {
-        if (quantity > 0) {
-          console.log(`➕ Adding variant ${variantId} with quantity ${quantity} to cart`);
-          
-          const formData = new FormData();
-          formData.append('id', variantId);
-          formData.append('quantity', quantity);
-          
-          const response = await fetch('/cart/add.js', {
-            method: 'POST',
-            body: formData
-          });
-          
-          if (response.ok) {
-            console.log(`✅ Added variant ${variantId} to cart successfully`);
-          } else {
-            console.error(`❌ Failed to add variant ${variantId} to cart:`, await response.text());
-          }
-        }
+      const result = await this.cartMutations.addItems(items);
+      console.log(`✅ Restored ${result.succeeded.length} of ${items.length} items to cart`);
+      this.reportCartFailures(result.failed);
+
+      if (result.cart) {
+        this.updateCartIcon(result.cart);
       }
-      
-      console.log('✅ Finished restoring items to cart');
-      
     } catch (error) {
       console.error('❌ Error restoring items to cart:', error);
     }
   }
 
+  // Guest quick orders live in local storage until the guest logs in
+  loadGuestCart() {
+    try {
+      return JSON.parse(localStorage.getItem('quick_order_guest_cart'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  saveGuestCart(quantities) {
+    try {
+      if (Object.keys(quantities).length === 0) {
+        localStorage.removeItem('quick_order_guest_cart');
+      } else {
+        localStorage.setItem('quick_order_guest_cart', JSON.stringify({
+          quantities,
+          updatedAt: new Date().toISOString()
+        }));
+      }
+    } catch (error) {
+      console.error('❌ Could not save guest quick order:', error);
+    }
+  }
+
+  // Combine the guest's lines with the customer's saved cart using the merchant's strategy
+  // (or the buyer's choice), then save the result to the cart and the account
+  async mergeGuestCart(guestQuantities) {
+    const savedQuantities = this.quantitiesFromLines(this.serverLines);
+    let strategy = 'replace';
+    if (Object.keys(savedQuantities).length > 0) {
+      strategy = await this.chooseGuestMergeStrategy(savedQuantities, guestQuantities);
+    }
+
+    const mergedQuantities = PersistentCart.mergeGuestQuantities(savedQuantities, guestQuantities, strategy);
+    console.log(`👤 Merging guest quick order into saved cart (${strategy}):`, mergedQuantities);
+
+    await this.updateCartToQuantities(mergedQuantities);
+    const saved = await this.saveQuantitiesToMetafields(mergedQuantities, 0, this.stampLines(mergedQuantities, this.serverLines));
+
+    // The guest cart stays until the account has the merged lines, so the merge is retried on the next page load
+    if (!saved) {
+      console.warn('⚠️ Merged quick order not saved to the account yet - keeping the guest cart');
+      return;
+    }
+    localStorage.removeItem('quick_order_guest_cart');
+
+    if (strategy !== 'keep') {
+      this.showToast('Items you added before logging in were added to your saved quick order.', 'success');
+    }
+  }
+
+  static mergeGuestQuantities(savedQuantities, guestQuantities, strategy) {
+    if (strategy === 'replace') return { ...guestQuantities };
+    if (strategy === 'keep') return { ...savedQuantities };
+
+    const merged = { ...savedQuantities };
+    Object.entries(guestQuantities).forEach(([variantId, quantity]) => {
+      const savedQuantity = merged[variantId] || 0;
+      merged[variantId] = strategy === 'max' ? Math.max(savedQuantity, quantity) : savedQuantity + quantity;
+    });
+    return merged;
+  }
+
+  // The merchant's strategy, or the buyer's pick from the dialog when it is "ask".
+  // Closing the dialog keeps the larger quantity of each item, so nothing is lost.
+  chooseGuestMergeStrategy(savedQuantities, guestQuantities) {
+    const dialog = document.getElementById('qo-guest-merge-dialog');
+    if (this.guestCarts.mergeStrategy !== 'ask') {
+      return Promise.resolve(this.guestCarts.mergeStrategy);
+    }
+    if (!dialog || typeof dialog.showModal !== 'function') {
+      return Promise.resolve('max');
+    }
+
+    const itemText = count => (count === 1 ? '1 item' : `${count} items`);
+    const summary = document.getElementById('qo-guest-merge-summary');
+    if (summary) {
+      summary.textContent = `You added ${itemText(Object.keys(guestQuantities).length)} before logging in, and your saved quick order has ${itemText(Object.keys(savedQuantities).length)}.`;
+    }
+
+    return new Promise(resolve => {
+      dialog.returnValue = '';
+      dialog.addEventListener('close', () => resolve(dialog.returnValue || 'max'), { once: true });
+      dialog.showModal();
+    });
+  }
+
+  // Lines the cart rejected (sold out, quantity rules, removed products)
+  reportCartFailures(failed) {
+    if (failed.length === 0) return;
+
+    console.warn('⚠️ Cart lines could not be updated:', failed);
+    const lineText = failed.length === 1 ? '1 item' : `${failed.length} items`;
+    this.showToast(`${lineText} could not be updated in your cart: ${failed[0].message}`, 'error');
+  }
+
   // Cleanup method to stop polling
   cleanup() {
     if (this.cartPollInterval) {
       clearInterval(this.cartPollInterval);
       this.cartPollInterval = null;
     }
+
+    if (this.syncInterval) {
+      clearInterval(this.syncInterval);
+      this.syncInterval = null;
+      this.syncIntervalDelay = null;
+    }
+
+    this.stopCartEventStream();
     
     if (this.cartObserver) {
       this.cartObserver.disconnect();
@@ -1630,9 +2394,27 @@ class QuickOrderSearch {
     this.rows = document.querySelectorAll(".table-row");
     this.searchInput = document.getElementById("collection-search");
     this.collectionSelect = document.getElementById("collection-select");
+    this.productGrid = document.getElementById("product-table-body");
     this.currentPage = 1;
-    this.productsPerPage = 10;
+    this.productsPerPage = parseInt(window.quickOrderSettings?.productsPerPage, 10) || 10; // Set in the app's Settings page
     this.filteredRows = Array.from(this.rows);
+
+    // Server-side search (app proxy) - Liquid can only render a truncated catalog
+    this.searchEndpoint = '/apps/quick-order/search';
+    this.remoteMode = false;
+    this.remoteCursors = [null]; // endCursor of the previous page, indexed by page - 1
+    this.remoteTotal = 0;
+    this.remoteHasNextPage = false;
+    this.searchRequestId = 0;
+    this.searchDebounce = null;
+    this.companyLocationId = window.quickOrderCompanyLocationId || null;
+
+    // Sorting and the "ordered before" filter; purchase stats are only fetched for pre-rendered rows
+    this.sortSelect = document.getElementById('qo-sort-select');
+    this.orderedOnlyToggle = document.getElementById('qo-ordered-only');
+    this.purchaseStatsEndpoint = '/apps/quick-order/purchase-stats';
+    this.purchaseStats = null;
+    this.originalRowOrder = new Map(Array.from(this.rows).map((row, index) => [row, index]));
     
     this.init();
   }
@@ -1647,6 +2429,14 @@ class QuickOrderSearch {
     this.bindEvents();
     this.updatePagination();
     this.showCurrentPage();
+
+    // Switch to server-side results; the pre-rendered rows stay as a fallback
+    this.loadRemotePage(1);
+
+    // Liquid renders public prices, so re-price rendered rows for B2B buyers
+    if (this.companyLocationId) {
+      this.applyCatalogToRenderedRows();
+    }
   }
 
   setupMobileLabels() {
@@ -1664,8 +2454,18 @@ class QuickOrderSearch {
   }
 
   bindEvents() {
-    this.searchInput.addEventListener("input", () => this.filterProducts());
+    this.searchInput.addEventListener("input", () => {
+      if (!this.remoteMode) {
+        this.filterProducts();
+        return;
+      }
+      // Debounce server requests while typing
+      clearTimeout(this.searchDebounce);
+      this.searchDebounce = setTimeout(() => this.filterProducts(), 300);
+    });
     this.collectionSelect.addEventListener("change", () => this.filterProducts());
+    this.sortSelect?.addEventListener("change", () => this.filterProducts());
+    this.orderedOnlyToggle?.addEventListener("change", () => this.filterProducts());
     
     // Pagination events
     const prevBtn = document.getElementById('prev-page');
@@ -1681,6 +2481,13 @@ class QuickOrderSearch {
     
     if (nextBtn) {
       nextBtn.addEventListener('click', () => {
+        if (this.remoteMode) {
+          if (this.remoteHasNextPage) {
+            this.goToPage(this.currentPage + 1);
+          }
+          return;
+        }
+
         const totalPages = Math.ceil(this.filteredRows.length / this.productsPerPage);
         if (this.currentPage < totalPages) {
           this.goToPage(this.currentPage + 1);
@@ -1689,9 +2496,48 @@ class QuickOrderSearch {
     }
   }
 
-  filterProducts() {
+  getSortOptions() {
+    return {
+      sort: this.sortSelect?.value || 'relevance',
+      orderedOnly: Boolean(this.orderedOnlyToggle?.checked)
+    };
+  }
+
+  needsPurchaseHistory() {
+    const { sort, orderedOnly } = this.getSortOptions();
+    return orderedOnly || sort === 'frequent' || sort === 'recent';
+  }
+
+  // Order frequency per variant/product for sorting pre-rendered rows; cached for the page view
+  async loadPurchaseStats() {
+    if (this.purchaseStats) return this.purchaseStats;
+
+    try {
+      const response = await fetch(`${this.purchaseStatsEndpoint}?customerId=${window.customerId}`, {
+        headers: { 'Accept': 'application/json' }
+      });
+      if (!response.ok) {
+        throw new Error(`Purchase stats request failed: ${response.status}`);
+      }
+      this.purchaseStats = await response.json();
+    } catch (error) {
+      console.warn('⚠️ Could not load purchase history for sorting:', error);
+      this.purchaseStats = { variants: {}, products: {} };
+    }
+
+    return this.purchaseStats;
+  }
+
+  async filterProducts() {
+    if (this.remoteMode) {
+      this.remoteCursors = [null];
+      return this.loadRemotePage(1);
+    }
+
     const searchTerm = this.searchInput.value.toLowerCase().trim();
     const selectedCollection = this.collectionSelect.value;
+    const { orderedOnly } = this.getSortOptions();
+    const stats = this.needsPurchaseHistory() ? await this.loadPurchaseStats() : null;
 
     this.filteredRows = Array.from(this.rows).filter(row => {
       const productTitle = (row.dataset.productTitle || '').toLowerCase();
@@ -1705,19 +2551,521 @@ class QuickOrderSearch {
                            variantSku.includes(searchTerm);
       const matchesCollection = selectedCollection === 'all' ||
         (productCollections && productCollections.includes(selectedCollection));
+      const inCatalog = row.dataset.catalogExcluded !== 'true';
+      const matchesOrdered = !orderedOnly || (row.classList.contains('qo-product-card')
+        ? Boolean(stats.products[row.dataset.productId])
+        : Boolean(stats.variants[row.dataset.variantId]));
 
-      return matchesSearch && matchesCollection;
+      return matchesSearch && matchesCollection && inCatalog && matchesOrdered;
     });
 
+    this.filteredRows = this.sortRows(this.filteredRows);
+    this.orderRows(this.filteredRows.filter(row => row.classList.contains('qo-product-card')));
     this.currentPage = 1;
     this.updatePagination();
     this.showCurrentPage();
   }
 
+  // Lowest price on a pre-rendered product card or any of its variant rows
+  getRowPrice(card) {
+    const variantContainer = this.productGrid?.querySelector(`.qo-variants-container[data-product-id="${card.dataset.productId}"]`);
+    const prices = [card, variantContainer]
+      .filter(Boolean)
+      .flatMap(element => Array.from(element.querySelectorAll('[data-price]')))
+      .map(element => parseInt(element.dataset.price, 10))
+      .filter(price => !isNaN(price));
+    return prices.length > 0 ? Math.min(...prices) : 0;
+  }
+
+  // Sort pre-rendered rows like the search endpoint sorts its results, keeping each
+  // product card followed by its variant rows so pagination slices stay grouped
+  sortRows(rows) {
+    const { sort } = this.getSortOptions();
+    const productStats = this.purchaseStats?.products || {};
+    const compareText = (a, b) => {
+      if (!a || !b) return (a ? 0 : 1) - (b ? 0 : 1);
+      return a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+    };
+    const compare = (a, b) => {
+      const statsA = productStats[a.dataset.productId];
+      const statsB = productStats[b.dataset.productId];
+      let result = 0;
+
+      switch (sort) {
+        case 'title':
+          result = compareText(a.dataset.productTitle, b.dataset.productTitle);
+          break;
+        case 'price':
+          result = this.getRowPrice(a) - this.getRowPrice(b);
+          break;
+        case 'sku':
+          result = compareText(a.dataset.productSku, b.dataset.productSku);
+          break;
+        case 'frequent':
+          result = (statsB?.orderCount || 0) - (statsA?.orderCount || 0) ||
+            (statsB?.quantity || 0) - (statsA?.quantity || 0);
+          break;
+        case 'recent':
+          // Never-ordered products go last, then newest first
+          result = (statsB ? 1 : 0) - (statsA ? 1 : 0) ||
+            compareText(statsB?.lastOrderedAt, statsA?.lastOrderedAt);
+          break;
+      }
+
+      return result || (this.originalRowOrder.get(a) ?? 0) - (this.originalRowOrder.get(b) ?? 0);
+    };
+
+    const cards = rows.filter(row => row.classList.contains('qo-product-card'));
+    const rowsByProduct = new Map();
+    const otherRows = [];
+    rows.filter(row => !row.classList.contains('qo-product-card')).forEach(row => {
+      const productId = row.closest('.qo-variants-container')?.dataset.productId;
+      if (productId && cards.some(card => card.dataset.productId === productId)) {
+        if (!rowsByProduct.has(productId)) rowsByProduct.set(productId, []);
+        rowsByProduct.get(productId).push(row);
+      } else {
+        otherRows.push(row);
+      }
+    });
+
+    return [
+      ...cards.sort(compare).flatMap(card => [card, ...(rowsByProduct.get(card.dataset.productId) || [])]),
+      ...otherRows
+    ];
+  }
+
+  // Fetch products from the app proxy search endpoint
+  async fetchSearchResults(params) {
+    const query = new URLSearchParams(params);
+    // The customer is always sent so the app can apply the shop's access rules
+    if (window.customerId && window.customerId !== 'null') {
+      query.set('customerId', window.customerId);
+    }
+    if (this.companyLocationId) {
+      query.set('locationId', this.companyLocationId);
+    }
+
+    const response = await fetch(`${this.searchEndpoint}?${query.toString()}`, {
+      headers: { 'Accept': 'application/json' }
+    });
+
+    if (!response.ok) {
+      throw new Error(`Search request failed: ${response.status}`);
+    }
+
+    return response.json();
+  }
+
+  // Load one page of server-side results and render it in place of the pre-rendered rows
+  async loadRemotePage(page) {
+    const requestId = ++this.searchRequestId;
+    const selectedOption = this.collectionSelect.selectedOptions[0];
+    const params = {
+      q: this.searchInput.value.trim(),
+      first: this.productsPerPage
+    };
+
+    if (selectedOption && selectedOption.dataset.collectionId) {
+      params.collection = selectedOption.dataset.collectionId;
+    }
+    if (this.remoteCursors[page - 1]) {
+      params.after = this.remoteCursors[page - 1];
+    }
+
+    // The endpoint sorts and filters by the customer's order history itself
+    const { sort, orderedOnly } = this.getSortOptions();
+    if (sort !== 'relevance') params.sort = sort;
+    if (orderedOnly) params.orderedOnly = '1';
+
+    this.productGrid?.classList.add('qo-products-grid--loading');
+
+    try {
+      const data = await this.fetchSearchResults(params);
+
+      // Ignore responses that arrive after a newer search was started
+      if (requestId !== this.searchRequestId) return;
+
+      this.remoteMode = true;
+      this.currentPage = page;
+      // B2B catalog searches can't be counted; null means "unknown"
+      this.remoteTotal = data.totalCount ?? null;
+      this.remoteHasNextPage = Boolean(data.pageInfo?.hasNextPage);
+      this.remoteCursors[page] = data.pageInfo?.endCursor || null;
+      this.remoteCursors.length = page + 1;
+
+      // Price and SKU sorts only cover the first matches of very large result sets
+      if (page === 1 && data.sortLimit) {
+        window.persistentCart?.showToast(`Sorted the first ${data.sortLimit} matching products. Search or pick a collection to sort the rest.`, 'info');
+      }
+
+      this.filteredRows = this.renderProducts(data.products || []);
+      this.orderRows(this.filteredRows);
+      this.updatePagination();
+      this.showCurrentPage();
+    } catch (error) {
+      if (requestId !== this.searchRequestId) return;
+
+      console.warn('⚠️ Server-side search unavailable, filtering pre-rendered products:', error);
+      if (this.remoteMode) {
+        this.remoteMode = false;
+        this.filterProducts();
+      }
+    } finally {
+      if (requestId === this.searchRequestId) {
+        this.productGrid?.classList.remove('qo-products-grid--loading');
+      }
+    }
+  }
+
+  // Make sure rows exist for the given variants (cart lines, bulk entry SKUs) so their inputs can be used
+  async ensureVariants({ variantIds = [], skus = [] } = {}) {
+    const missingIds = variantIds.filter(id => id && !document.querySelector(`.qty-input[data-variant-id="${id}"]`));
+    const knownSkus = new Set(Array.from(document.querySelectorAll('.qty-input[data-variant-sku]'))
+      .map(input => input.dataset.variantSku.trim().toLowerCase()));
+    const missingSkus = skus.filter(sku => sku && !knownSkus.has(sku.trim().toLowerCase()));
+
+    if (missingIds.length === 0 && missingSkus.length === 0) return 0;
+
+    let rendered = 0;
+    try {
+      if (missingIds.length > 0) {
+        const data = await this.fetchSearchResults({ ids: missingIds.join(',') });
+        rendered += this.renderProducts(data.products || [], { hidden: true }).length;
+      }
+      if (missingSkus.length > 0) {
+        const data = await this.fetchSearchResults({ skus: missingSkus.join(',') });
+        rendered += this.renderProducts(data.products || [], { hidden: true }).length;
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not load variants missing from the page:', error);
+    }
+
+    return rendered;
+  }
+
+  // Return the product card for each result, rendering cards that are not on the page yet
+  renderProducts(products, { hidden = false } = {}) {
+    if (!this.productGrid) return [];
+
+    const cards = products.map(product => {
+      const existingCard = this.productGrid.querySelector(`.qo-product-card[data-product-id="${product.id}"]`);
+      if (existingCard) {
+        this.updateRowPricing(existingCard, product);
+        return existingCard;
+      }
+
+      const template = document.createElement('template');
+      template.innerHTML = this.renderProductRow(product).trim();
+      const card = template.content.querySelector('.qo-product-card');
+      if (hidden) card.style.display = 'none';
+      PriceTiers.renderAll(template.content);
+      QuantityRules.renderAll(template.content);
+      this.productGrid.appendChild(template.content);
+      return card;
+    });
+
+    this.rows = document.querySelectorAll('.table-row');
+    this.setupMobileLabels();
+
+    // Pick up quantities already in the cart for newly rendered inputs
+    if (window.persistentCart && window.persistentCart.localCartState) {
+      cards.forEach(card => {
+        const inputs = [card, card.nextElementSibling]
+          .filter(element => element && element.dataset.productId === card.dataset.productId)
+          .flatMap(element => Array.from(element.querySelectorAll('.qty-input')));
+        inputs.forEach(input => {
+          const quantity = window.persistentCart.localCartState[input.dataset.variantId];
+          if (quantity && (parseInt(input.value) || 0) === 0) {
+            input.value = quantity;
+            window.priceCalculator?.updateRowTotal(input.closest('.table-row'));
+          }
+        });
+      });
+    }
+
+    return cards;
+  }
+
+  // Look up every pre-rendered variant in the buyer's catalog; re-price or hide the rows
+  async applyCatalogToRenderedRows() {
+    const cards = Array.from(document.querySelectorAll('.qo-product-card:not([data-remote])'));
+    const variantIds = Array.from(document.querySelectorAll('.qty-input[data-variant-id]'))
+      .filter(input => !input.closest('[data-remote]'))
+      .map(input => input.dataset.variantId);
+    const productsById = new Map();
+
+    try {
+      for (let i = 0; i < variantIds.length; i += 100) {
+        const data = await this.fetchSearchResults({ ids: variantIds.slice(i, i + 100).join(',') });
+        (data.products || []).forEach(product => productsById.set(String(product.id), product));
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not load B2B catalog prices, keeping storefront prices:', error);
+      return;
+    }
+
+    cards.forEach(card => {
+      const product = productsById.get(card.dataset.productId);
+      if (product) {
+        this.updateRowPricing(card, product);
+      } else {
+        this.excludeFromCatalog(card);
+      }
+    });
+
+    if (!this.remoteMode) {
+      this.filterProducts();
+    }
+    window.priceCalculator?.updateSubtotal();
+    window.fixedCartSummary?.updateFixedCartSummary();
+  }
+
+  // Apply contextual (price list) prices from the search endpoint to an existing product card
+  updateRowPricing(card, product) {
+    const variantContainer = this.productGrid?.querySelector(`.qo-variants-container[data-product-id="${card.dataset.productId}"]`);
+
+    (product.variants || []).forEach(variant => {
+      const input = [card, variantContainer]
+        .filter(Boolean)
+        .map(element => element.querySelector(`.qty-input[data-variant-id="${variant.id}"]`))
+        .find(Boolean);
+      const row = input?.closest('.qo-variant-card, .qo-product-card');
+      if (!row) return;
+
+      if (row.dataset.price !== undefined) row.dataset.price = variant.price;
+      const priceElement = row.querySelector('.price');
+      if (priceElement && String(priceElement.dataset.price) !== String(variant.price)) {
+        priceElement.dataset.price = variant.price;
+        priceElement.textContent = this.formatMoney(variant.price);
+      }
+      if (priceElement && variant.priceTiers) {
+        priceElement.dataset.priceTiers = JSON.stringify(variant.priceTiers);
+        PriceTiers.render(priceElement);
+      }
+      window.priceCalculator?.updateRowTotal(row);
+    });
+
+    if (!product.hasOnlyDefaultVariant) {
+      const priceCell = card.querySelector('.qo-product-price');
+      if (priceCell) {
+        priceCell.innerHTML = product.priceMin === product.priceMax
+          ? `<span class="price qo-price-value">${this.formatMoney(product.priceMin)}</span>`
+          : `<span class="qo-price-range">${this.formatMoney(product.priceMin)} - ${this.formatMoney(product.priceMax)}</span>`;
+      }
+    }
+  }
+
+  // Hide a product the buyer's catalog does not include and stop it from being ordered
+  excludeFromCatalog(card) {
+    const variantContainer = this.productGrid?.querySelector(`.qo-variants-container[data-product-id="${card.dataset.productId}"]`);
+
+    card.dataset.catalogExcluded = 'true';
+    card.style.display = 'none';
+    [card, variantContainer].filter(Boolean).forEach(element => {
+      element.querySelectorAll('.qty-input').forEach(input => {
+        input.disabled = true;
+      });
+    });
+    if (variantContainer) variantContainer.style.display = 'none';
+  }
+
+  // Move rows into result order (each card is followed by its variant rows)
+  orderRows(cards) {
+    if (!this.productGrid) return;
+
+    cards.forEach(card => {
+      const variantContainer = this.productGrid.querySelector(`.qo-variants-container[data-product-id="${card.dataset.productId}"]`);
+      this.productGrid.appendChild(card);
+      if (variantContainer) this.productGrid.appendChild(variantContainer);
+    });
+  }
+
+  escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value == null ? '' : String(value);
+    return div.innerHTML;
+  }
+
+  formatMoney(cents) {
+    return `$${((parseInt(cents) || 0) / 100).toFixed(2)}`;
+  }
+
+  // Markup mirrors the product/variant rows in quick-order-list.liquid
+  renderStatusBadge(available, small = false) {
+    const size = small ? 8 : 12;
+    const radius = small ? 3 : 5;
+    return `
+      <div class="qo-status-badge ${available ? 'qo-status-active' : 'qo-status-inactive'}${small ? ' qo-status-small' : ''}">
+        <svg class="qo-status-icon" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}" fill="none">
+          <circle cx="${size / 2}" cy="${size / 2}" r="${radius}" fill="currentColor"/>
+        </svg>
+        ${available ? 'Available' : 'Out of Stock'}
+      </div>`;
+  }
+
+  renderQuantityInput(variant) {
+    const escape = (value) => this.escapeHtml(value);
+    const disabled = variant.available ? '' : ' disabled';
+    const stockQuantity = variant.inventoryManagement === 'shopify' && variant.inventoryQuantity
+      ? variant.inventoryQuantity
+      : 999999;
+    const rule = variant.quantityRule || { min: 1, max: null, increment: 1 };
+
+    return `
+      <div class="qo-quantity-input-wrapper${variant.available ? '' : ' qo-quantity-disabled'}">
+        <button type="button" class="qo-qty-btn qo-qty-decrease" tabindex="-1"${disabled}>
+          <svg width="12" height="12" viewBox="0 0 12 12">
+            <path d="M2 6H10" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
+          </svg>
+        </button>
+        <input
+          type="number"
+          class="qo-quantity-input qty-input"
+          id="${escape(variant.id)}"
+          name="updates[${escape(variant.id)}]"
+          min="0"
+          value="0"
+          data-variant-id="${escape(variant.id)}"
+          data-variant-sku="${escape(variant.sku)}"
+          data-stock-quantity="${escape(stockQuantity)}"
+          data-inventory-management="${escape(variant.inventoryManagement)}"
+          data-qty-min="${escape(rule.min)}"
+          data-qty-increment="${escape(rule.increment)}"${rule.max ? `
+          data-qty-max="${escape(rule.max)}"` : ''}
+          step="${escape(rule.increment)}"${disabled}
+        >
+        <button type="button" class="qo-qty-btn qo-qty-increase" tabindex="-1"${disabled}>
+          <svg width="12" height="12" viewBox="0 0 12 12">
+            <path d="M6 2V10M2 6H10" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
+          </svg>
+        </button>
+      </div>`;
+  }
+
+  renderProductRow(product) {
+    const escape = (value) => this.escapeHtml(value);
+    const variants = product.variants || [];
+    const firstVariant = variants[0] || {};
+    const availableCount = variants.filter(variant => variant.available).length;
+    const isOutOfStock = availableCount === 0;
+    const hasVariants = !product.hasOnlyDefaultVariant;
+
+    const imageHtml = product.image
+      ? `<img src="${escape(product.image.url)}" alt="${escape(product.image.alt)}" loading="lazy">`
+      : `<div class="qo-image-placeholder">
+          <svg width="32" height="32" viewBox="0 0 24 24" fill="none">
+            <rect x="3" y="3" width="18" height="18" rx="2" ry="2" stroke="currentColor" stroke-width="2"/>
+            <circle cx="8.5" cy="8.5" r="1.5" stroke="currentColor" stroke-width="2"/>
+            <polyline points="21,15 16,10 5,21" stroke="currentColor" stroke-width="2"/>
+          </svg>
+        </div>`;
+
+    let priceHtml;
+    if (!hasVariants) {
+      priceHtml = `<span class="price qo-price-value" data-price="${escape(firstVariant.price)}" data-price-tiers="${escape(JSON.stringify(firstVariant.priceTiers || []))}">${this.formatMoney(firstVariant.price)}</span>`;
+    } else if (product.priceMin === product.priceMax) {
+      priceHtml = `<span class="price qo-price-value">${this.formatMoney(product.priceMin)}</span>`;
+    } else {
+      priceHtml = `<span class="qo-price-range">${this.formatMoney(product.priceMin)} - ${this.formatMoney(product.priceMax)}</span>`;
+    }
+
+    const toggleHtml = hasVariants ? `
+      <button 
+        type="button" 
+        class="qo-variant-toggle variant-toggle-btn" 
+        data-product-id="${escape(product.id)}" 
+        data-variant-count="${variants.length}"
+        aria-expanded="false"
+        aria-controls="variants-${escape(product.id)}"
+        aria-label="Show ${variants.length} variants for ${escape(product.title)}"
+        title="Click to view ${variants.length} available variants">
+        <span class="toggle-text">${variants.length} variants</span>
+        <svg class="qo-chevron toggle-icon" width="12" height="12" viewBox="0 0 12 12" aria-hidden="true">
+          <path d="M2 4.5L6 8.5L10 4.5" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
+        </svg>
+      </button>` : '';
+
+    const statusHtml = hasVariants && !isOutOfStock
+      ? `${this.renderStatusBadge(true)}
+        <div class="qo-variant-summary">${availableCount}/${variants.length} variants available</div>`
+      : this.renderStatusBadge(!isOutOfStock);
+
+    const variantRowsHtml = hasVariants ? `
+      <div 
+        class="qo-variants-container variant-rows" 
+        data-product-id="${escape(product.id)}" 
+        id="variants-${escape(product.id)}"
+        role="region"
+        aria-label="Variants for ${escape(product.title)}"
+        style="display: none;">
+        ${variants.map(variant => `
+          <div class="qo-variant-card table-row variant-row" 
+               data-variant-id="${escape(variant.id)}" 
+               data-variant-sku="${escape((variant.sku || '').toLowerCase())}" 
+               data-price="${escape(variant.price)}">
+            <div class="qo-variant-image">
+              <div class="qo-variant-connector">
+                <svg class="qo-variant-arrow" width="12" height="12" viewBox="0 0 12 12" fill="none">
+                  <path d="M4 2L8 6L4 10" stroke="#000000" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
+                </svg>
+              </div>
+            </div>
+            <div class="qo-variant-info">
+              <span class="qo-variant-title">${variant.title !== 'Default Title' ? escape(variant.title) : 'Default'}</span>
+              ${variant.sku ? `<span class="qo-variant-sku">SKU: ${escape(variant.sku)}</span>` : ''}
+            </div>
+            <div class="qo-variant-status">${this.renderStatusBadge(variant.available, true)}</div>
+            <div class="qo-variant-price">
+              <span class="price qo-price-value" data-price="${escape(variant.price)}" data-price-tiers="${escape(JSON.stringify(variant.priceTiers || []))}">${this.formatMoney(variant.price)}</span>
+            </div>
+            <div class="qo-variant-quantity">${this.renderQuantityInput(variant)}</div>
+            <div class="qo-variant-total">
+              <span class="qo-total-value row-total">$0.00</span>
+            </div>
+          </div>`).join('')}
+      </div>` : '';
+
+    return `
+      <div class="qo-product-card table-row${isOutOfStock ? ' qo-product-out-of-stock' : ''}" 
+           data-product-title="${escape((product.title || '').toLowerCase())}" 
+           data-product-sku="${escape((firstVariant.sku || '').toLowerCase())}" 
+           data-collections="${escape((product.collections || []).join(' '))}" 
+           data-product-id="${escape(product.id)}"
+           data-out-of-stock="${isOutOfStock}"
+           data-remote="true">
+        <div class="qo-product-image">${imageHtml}</div>
+        <div class="qo-product-info">
+          <div class="qo-product-main">
+            <a href="${escape(product.url)}" class="qo-product-title">${escape(product.title)}</a>
+            ${product.vendor ? `<span class="qo-product-vendor">${escape(product.vendor)}</span>` : ''}
+            ${firstVariant.sku ? `<span class="qo-product-sku">SKU: ${escape(firstVariant.sku)}</span>` : ''}
+          </div>
+          ${toggleHtml}
+        </div>
+        <div class="qo-product-status">${statusHtml}</div>
+        <div class="qo-product-price">${priceHtml}</div>
+        <div class="qo-product-quantity">
+          ${hasVariants ? '<div class="qo-variant-prompt"><span>Select variant</span></div>' : this.renderQuantityInput(firstVariant)}
+        </div>
+        <div class="qo-product-total">
+          <span class="qo-total-value row-total">$0.00</span>
+        </div>
+      </div>
+      ${variantRowsHtml}`;
+  }
+
   updatePagination() {
-    const totalPages = Math.ceil(this.filteredRows.length / this.productsPerPage);
+    // In remote mode filteredRows only holds the current page; totals come from the server
     const startIndex = (this.currentPage - 1) * this.productsPerPage;
-    const endIndex = Math.min(startIndex + this.productsPerPage, this.filteredRows.length);
+    const endIndex = this.remoteMode
+      ? startIndex + this.filteredRows.length
+      : Math.min(startIndex + this.productsPerPage, this.filteredRows.length);
+    const isUncounted = this.remoteMode && this.remoteTotal === null;
+    const totalCount = this.remoteMode ? this.remoteTotal : this.filteredRows.length;
+    // Without a count, only the pages up to the next one are known
+    const totalPages = isUncounted
+      ? this.currentPage + (this.remoteHasNextPage ? 1 : 0)
+      : Math.ceil(totalCount / this.productsPerPage);
 
     // Update pagination info
     const showingStart = document.getElementById('showing-start');
@@ -1726,14 +3074,22 @@ class QuickOrderSearch {
     
     if (showingStart) showingStart.textContent = this.filteredRows.length > 0 ? startIndex + 1 : 0;
     if (showingEnd) showingEnd.textContent = endIndex;
-    if (totalProducts) totalProducts.textContent = this.filteredRows.length;
+    if (totalProducts) {
+      totalProducts.textContent = isUncounted
+        ? `${endIndex}${this.remoteHasNextPage ? '+' : ''}`
+        : totalCount;
+    }
 
     // Update pagination buttons
     const prevBtn = document.getElementById('prev-page');
     const nextBtn = document.getElementById('next-page');
     
     if (prevBtn) prevBtn.disabled = this.currentPage === 1;
-    if (nextBtn) nextBtn.disabled = this.currentPage === totalPages || totalPages === 0;
+    if (nextBtn) {
+      nextBtn.disabled = this.remoteMode
+        ? !this.remoteHasNextPage
+        : this.currentPage === totalPages || totalPages === 0;
+    }
 
     // Update page numbers
     const pageNumbersContainer = document.getElementById('page-numbers');
@@ -1754,16 +3110,22 @@ class QuickOrderSearch {
         pageBtn.className = `qo-pagination__number ${i === this.currentPage ? 'qo-pagination__number--active' : ''}`;
         pageBtn.setAttribute('data-page', i);
         pageBtn.textContent = i;
+        // Cursor pagination can only jump to pages whose start cursor is known
+        pageBtn.disabled = this.remoteMode && i > this.remoteCursors.length;
         pageBtn.addEventListener('click', () => this.goToPage(i));
         pageNumbersContainer.appendChild(pageBtn);
       }
     }
   }
 
-  goToPage(page) {
-    this.currentPage = page;
-    this.showCurrentPage();
-    this.updatePagination();
+  async goToPage(page) {
+    if (this.remoteMode) {
+      await this.loadRemotePage(page);
+    } else {
+      this.currentPage = page;
+      this.showCurrentPage();
+      this.updatePagination();
+    }
     
     // Scroll to top of the quick order container smoothly
     const container = document.querySelector('.quick-order-container');
@@ -1782,7 +3144,8 @@ class QuickOrderSearch {
   }
 
   showCurrentPage() {
-    const startIndex = (this.currentPage - 1) * this.productsPerPage;
+    // Remote results are already a single page
+    const startIndex = this.remoteMode ? 0 : (this.currentPage - 1) * this.productsPerPage;
     const endIndex = startIndex + this.productsPerPage;
 
     console.log('🔄 Showing current page:', this.currentPage, 'Range:', startIndex, '-', endIndex);
@@ -1843,11 +3206,235 @@ class QuickOrderSearch {
     
     // Re-initialize toggle buttons for newly visible products
     setTimeout(() => {
-      this.initializeToggleButtons();
+      window.variantToggle?.initializeToggleButtons();
     }, 100);
   }
 }
 
+// Volume/tiered pricing - reads data-price-tiers ([{ min_quantity, price_cents }]) next to data-price.
+// Tiers flagged `indicative` come from the quick_order.price_tiers metafield, which checkout
+// doesn't apply: they are listed for reference but totals use the regular price.
+class PriceTiers {
+  static cache = new WeakMap();
+
+  // Parse and normalize the tiers of a price element (metafield tiers may use decimal "price")
+  static getTiers(priceElement) {
+    if (!priceElement || !priceElement.dataset.priceTiers) return [];
+
+    const raw = priceElement.dataset.priceTiers;
+    const cached = PriceTiers.cache.get(priceElement);
+    if (cached && cached.raw === raw) return cached.tiers;
+
+    let tiers = [];
+    try {
+      const parsed = JSON.parse(raw);
+      tiers = (Array.isArray(parsed) ? parsed : [])
+        .map(tier => ({
+          minQuantity: parseInt(tier.min_quantity ?? tier.minimum_quantity ?? tier.min, 10),
+          price: tier.price_cents != null
+            ? parseInt(tier.price_cents, 10)
+            : Math.round(parseFloat(tier.price) * 100),
+          indicative: tier.indicative === true
+        }))
+        .filter(tier => tier.minQuantity > 1 && Number.isFinite(tier.price))
+        .sort((a, b) => a.minQuantity - b.minQuantity);
+    } catch (error) {
+      console.warn('⚠️ Invalid price tiers:', raw, error);
+    }
+
+    PriceTiers.cache.set(priceElement, { raw, tiers });
+    return tiers;
+  }
+
+  // Highest tier whose minimum quantity is reached, or null for the base price
+  static getActiveTier(priceElement, quantity) {
+    return PriceTiers.getTiers(priceElement)
+      .filter(tier => quantity >= tier.minQuantity)
+      .pop() || null;
+  }
+
+  // Unit price in cents for a quantity, as checkout will charge it
+  static getUnitPrice(priceElement, quantity) {
+    const activeTier = PriceTiers.getActiveTier(priceElement, quantity);
+    if (activeTier && !activeTier.indicative) return activeTier.price;
+    return parseInt(priceElement?.dataset.price) || 0;
+  }
+
+  static formatMoney(cents) {
+    return `$${(cents / 100).toFixed(2)}`;
+  }
+
+  // Render the tier table under a price element (replaces any previous table)
+  static render(priceElement) {
+    if (!priceElement || !priceElement.parentElement) return;
+
+    priceElement.parentElement.querySelector('.qo-price-tiers')?.remove();
+    const tiers = PriceTiers.getTiers(priceElement);
+    if (tiers.length === 0) return;
+
+    const basePrice = parseInt(priceElement.dataset.price) || 0;
+    const rows = [{ minQuantity: 1, price: basePrice }, ...tiers];
+    const list = document.createElement('ul');
+    const isIndicative = tiers.some(tier => tier.indicative);
+    list.className = `qo-price-tiers${isIndicative ? ' qo-price-tiers--indicative' : ''}`;
+    list.setAttribute('aria-label', isIndicative ? 'Indicative volume pricing' : 'Volume pricing');
+    list.innerHTML = rows.map((tier, index) => {
+      const nextTier = rows[index + 1];
+      const range = nextTier ? `${tier.minQuantity}-${nextTier.minQuantity - 1}` : `${tier.minQuantity}+`;
+      return `<li class="qo-price-tier" data-min-quantity="${tier.minQuantity}"><span class="qo-price-tier__range">${range}</span><span class="qo-price-tier__price">${PriceTiers.formatMoney(tier.price)}</span></li>`;
+    }).join('') + (isIndicative
+      ? '<li class="qo-price-tiers__note">Indicative - totals and checkout use the regular price</li>'
+      : '');
+    priceElement.insertAdjacentElement('afterend', list);
+
+    const input = priceElement.closest('.qo-product-card, .qo-variant-card')?.querySelector('.qty-input');
+    PriceTiers.updateActive(priceElement, parseInt(input?.value) || 0);
+  }
+
+  // Highlight the tier that applies to the current quantity
+  static updateActive(priceElement, quantity) {
+    const list = priceElement?.parentElement?.querySelector('.qo-price-tiers');
+    if (!list) return;
+
+    const activeMinimum = PriceTiers.getActiveTier(priceElement, quantity)?.minQuantity || 1;
+    list.querySelectorAll('.qo-price-tier').forEach(item => {
+      const isActive = quantity > 0 && parseInt(item.dataset.minQuantity) === activeMinimum;
+      item.classList.toggle('qo-price-tier--active', isActive);
+    });
+  }
+
+  static renderAll(root = document) {
+    root.querySelectorAll('.price[data-price-tiers]').forEach(priceElement => PriceTiers.render(priceElement));
+  }
+}
+
+// Quantity rules (minimum, maximum, increment) - read from data-qty-min/max/increment on quantity inputs
+class QuantityRules {
+  static getRule(input) {
+    return {
+      min: parseInt(input?.dataset.qtyMin) || 1,
+      max: parseInt(input?.dataset.qtyMax) || null,
+      increment: parseInt(input?.dataset.qtyIncrement) || 1
+    };
+  }
+
+  static hasRule(input) {
+    const { min, max, increment } = QuantityRules.getRule(input);
+    return min > 1 || increment > 1 || max !== null;
+  }
+
+  static describe(input) {
+    const { min, max, increment } = QuantityRules.getRule(input);
+    const parts = [];
+    if (min > 1) parts.push(`Min ${min}`);
+    if (increment > 1) parts.push(`Multiples of ${increment}`);
+    if (max !== null) parts.push(`Max ${max}`);
+    return parts.join(' · ');
+  }
+
+  // Nearest quantity allowed by the rule, optionally limited by stock. 0 (remove) is always allowed.
+  static round(input, quantity, limit = null) {
+    if (quantity <= 0) return 0;
+
+    const { min, max, increment } = QuantityRules.getRule(input);
+    const upper = limit === null ? max : Math.min(max ?? limit, limit);
+    let rounded = Math.max(Math.round(quantity / increment) * increment, min);
+
+    // Shopify requires the minimum to be a multiple of the increment, but metafield rules may not
+    rounded = Math.ceil(rounded / increment) * increment;
+    if (upper !== null && rounded > upper) {
+      rounded = Math.floor(upper / increment) * increment;
+    }
+
+    return rounded >= min ? rounded : 0;
+  }
+
+  static validate(input, quantity) {
+    if (quantity <= 0) {
+      return { isValid: true, message: '', suggestedQuantity: quantity };
+    }
+
+    const { min, max, increment } = QuantityRules.getRule(input);
+    let message = '';
+    if (quantity < min) {
+      message = `Minimum quantity is ${min}`;
+    } else if (max !== null && quantity > max) {
+      message = `Maximum quantity is ${max}`;
+    } else if (quantity % increment !== 0) {
+      message = `Sold in multiples of ${increment}`;
+    }
+
+    return {
+      isValid: message === '',
+      message,
+      suggestedQuantity: message ? QuantityRules.round(input, quantity) : quantity
+    };
+  }
+
+  // Next quantity for the +/- buttons, stepping by the increment and jumping over the minimum
+  static step(input, current, direction, limit = null) {
+    const { min, max, increment } = QuantityRules.getRule(input);
+
+    if (direction < 0) {
+      const previous = current % increment === 0 ? current - increment : Math.floor(current / increment) * increment;
+      return previous < min ? 0 : previous;
+    }
+
+    const next = current < min ? Math.ceil(min / increment) * increment : Math.floor(current / increment) * increment + increment;
+    const upper = limit === null ? max : Math.min(max ?? limit, limit);
+    if (upper !== null && next > upper) {
+      return Math.max(QuantityRules.round(input, upper, upper), current > upper ? 0 : current);
+    }
+    return next;
+  }
+
+  static getQuantityCell(input) {
+    return input.closest('.qo-product-quantity, .qo-variant-quantity') || input.parentElement;
+  }
+
+  // Inline message under the quantity input (rule violations and automatic rounding)
+  static showMessage(input, message, type = 'error') {
+    const cell = QuantityRules.getQuantityCell(input);
+    if (!cell) return;
+
+    let messageElement = cell.querySelector('.qo-quantity-rule-message');
+    if (!messageElement) {
+      messageElement = document.createElement('div');
+      messageElement.className = 'qo-quantity-rule-message';
+      messageElement.id = `qty-rule-message-${input.dataset.variantId}`;
+      messageElement.setAttribute('role', 'alert');
+      cell.appendChild(messageElement);
+    }
+
+    messageElement.textContent = message;
+    messageElement.classList.toggle('qo-quantity-rule-message--info', type !== 'error');
+    input.setAttribute('aria-invalid', type === 'error' ? 'true' : 'false');
+    input.setAttribute('aria-describedby', messageElement.id);
+  }
+
+  static clearMessage(input) {
+    const messageElement = QuantityRules.getQuantityCell(input)?.querySelector('.qo-quantity-rule-message');
+    if (messageElement) messageElement.remove();
+    input.removeAttribute('aria-invalid');
+    input.removeAttribute('aria-describedby');
+  }
+
+  static renderHint(input) {
+    const cell = QuantityRules.getQuantityCell(input);
+    if (!cell || !QuantityRules.hasRule(input) || cell.querySelector('.qo-quantity-rule-hint')) return;
+
+    const hint = document.createElement('div');
+    hint.className = 'qo-quantity-rule-hint';
+    hint.textContent = QuantityRules.describe(input);
+    cell.appendChild(hint);
+  }
+
+  static renderAll(root = document) {
+    root.querySelectorAll('.qty-input[data-qty-min], .qty-input[data-qty-increment], .qty-input[data-qty-max]')
+      .forEach(input => QuantityRules.renderHint(input));
+  }
+}
+
 // Price calculation functionality
 class PriceCalculator {
   constructor() {
@@ -1855,6 +3442,7 @@ class PriceCalculator {
   }
 
   init() {
+    PriceTiers.renderAll();
     this.bindPriceEvents();
     this.updateSubtotal();
   }
@@ -1885,11 +3473,13 @@ class PriceCalculator {
     
     if (qtyInput && rowTotal && priceElement) {
       let price = 0;
+      const quantity = parseInt(qtyInput.value) || 0;
       
-      // Priority 1: Use data-price attribute (Shopify prices in cents)
+      // Priority 1: Use data-price attribute (Shopify prices in cents), tiered by quantity
       if (priceElement.dataset.price) {
-        const priceInCents = parseInt(priceElement.dataset.price) || 0;
+        const priceInCents = PriceTiers.getUnitPrice(priceElement, quantity);
         price = priceInCents / 100; // Convert cents to dollars
+        PriceTiers.updateActive(priceElement, quantity);
       }
       // Priority 2: Parse displayed text if data-price not available
       else {
@@ -1901,7 +3491,6 @@ class PriceCalculator {
         price = parseFloat(cleanPrice) || 0;
       }
       
-      const quantity = parseInt(qtyInput.value) || 0;
       const total = (price * quantity).toFixed(2);
       const formattedTotal = `$${total}`;
       
@@ -1940,7 +3529,7 @@ class PriceCalculator {
             
             // Priority 1: Use data-price attribute (Shopify prices in cents)
             if (priceElement.dataset.price) {
-              const priceInCents = parseInt(priceElement.dataset.price) || 0;
+              const priceInCents = PriceTiers.getUnitPrice(priceElement, quantity);
               price = priceInCents / 100; // Convert cents to dollars
               console.log(`Using data-price: ${priceInCents} cents = ${price} dollars`);
             }
@@ -2539,6 +4128,7 @@ class FixedCartSummary {
     this.fixedCartElement = document.getElementById('fixed-cart-summary');
     this.itemCountElement = document.getElementById('cart-item-count');
     this.totalAmountElement = document.getElementById('fixed-subtotal-amount');
+    this.pendingChangesElement = document.getElementById('qo-pending-changes');
     
     // Register globally for instant PersistentCart callbacks
     window.fixedCartSummary = this;
@@ -2570,6 +4160,16 @@ class FixedCartSummary {
       this.debouncedUpdateFixedCartSummary();
     });
 
+    // Offline edits waiting to be sent
+    this.pendingChangeCount = window.persistentCart?.pendingChanges?.size || 0;
+    document.addEventListener('quickOrder:pendingChanges', (e) => {
+      this.pendingChangeCount = e.detail.count;
+      this.updatePendingChanges();
+    });
+    window.addEventListener('online', () => this.updatePendingChanges());
+    window.addEventListener('offline', () => this.updatePendingChanges());
+    this.updatePendingChanges();
+
     // Handle clicks on disabled quantity inputs
     document.addEventListener('focus', (e) => {
       if (e.target.classList.contains('qty-input') && e.target.disabled) {
@@ -2592,6 +4192,17 @@ class FixedCartSummary {
     // Quantity button events are now handled by global event listeners with immediate metafield saves
   }
 
+  updatePendingChanges() {
+    if (!this.pendingChangesElement) return;
+
+    const count = this.pendingChangeCount;
+    this.pendingChangesElement.hidden = count === 0;
+    if (count > 0) {
+      const changeText = `${count} ${count === 1 ? 'change' : 'changes'} pending`;
+      this.pendingChangesElement.textContent = navigator.onLine ? changeText : `Offline · ${changeText}`;
+    }
+  }
+
   debouncedUpdateFixedCartSummary() {
     // Instant update - no delay for real-time React-like behavior
     this.updateFixedCartSummary();
@@ -2612,8 +4223,9 @@ class FixedCartSummary {
     const priceElement = row.querySelector('.qo-price-value, .price');
     if (priceElement) {
       if (priceElement.dataset.price) {
-        // Price in cents from Shopify
-        price = parseInt(priceElement.dataset.price) / 100;
+        // Price in cents from Shopify, tiered by quantity
+        price = PriceTiers.getUnitPrice(priceElement, quantity) / 100;
+        PriceTiers.updateActive(priceElement, quantity);
       } else {
         // Parse price from text
         const priceText = priceElement.textContent || '';
@@ -2736,7 +4348,7 @@ class FixedCartSummary {
         // Get price from data attribute or calculate
         const priceElement = input.closest('.qo-product-card, .qo-variant-card')?.querySelector('[data-price]');
         if (priceElement) {
-          const price = parseFloat(priceElement.dataset.price) || 0;
+          const price = PriceTiers.getUnitPrice(priceElement, quantity);
           totalAmount += price * quantity;
         }
       }
@@ -2802,30 +4414,18 @@ class FixedCartSummary {
 
       // Update cart to remove quick order items
       if (Object.keys(updates).length > 0) {
-        const response = await fetch('/cart/update.js', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({ updates })
-        });
+        const result = await window.persistentCart.cartMutations.setQuantities(updates);
 
-        if (response.ok) {
-          const updatedCartData = await response.json();
-          console.log('✅ Cart cleared of quick order items');
-          
-          // Trigger cart updated event for theme compatibility
-          document.dispatchEvent(new CustomEvent('cart:updated', {
-            detail: { cart: updatedCartData }
-          }));
-          
+        if (result.cart) {
           // Update cart icon immediately
-          if (window.persistentCart) {
-            window.persistentCart.updateCartIcon(updatedCartData);
-          }
+          window.persistentCart.updateCartIcon(result.cart);
+        }
+
+        if (result.failed.length > 0) {
+          console.error('Failed to clear cart items:', result.failed);
+          this.showToast(`${result.failed.length} of ${Object.keys(updates).length} items could not be removed from the cart`, 'error');
         } else {
-          console.error('Failed to clear cart items');
-          this.showToast('Failed to clear cart items', 'error');
+          console.log('✅ Cart cleared of quick order items');
         }
       }
 
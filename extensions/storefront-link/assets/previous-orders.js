@@ -0,0 +1,322 @@
+// Previous Orders - repopulate quick order quantities from the customer's past orders
+class PreviousOrders {
+  constructor(entry) {
+    this.entry = entry;
+    this.endpoint = '/apps/quick-order/orders';
+    this.customerId = window.customerId;
+    this.isCustomer = window.customerId !== null && window.customerId !== 'null';
+    this.orders = [];
+    this.endCursor = null;
+    this.hasNextPage = false;
+    this.hasLoaded = false;
+    this.isBusy = false;
+
+    this.toggleButton = document.getElementById('qo-previous-orders-toggle');
+    this.panel = document.getElementById('qo-previous-orders-panel');
+    this.listElement = document.getElementById('qo-previous-orders-list');
+    this.moreButton = document.getElementById('qo-previous-orders-more');
+    this.reportElement = document.getElementById('qo-previous-orders-report');
+
+    this.init();
+  }
+
+  init() {
+    if (!this.toggleButton || !this.panel || !this.listElement) {
+      console.log('Previous orders elements not found, skipping previous orders initialization');
+      return;
+    }
+
+    if (!this.isCustomer) {
+      this.toggleButton.hidden = true;
+      return;
+    }
+
+    this.toggleButton.addEventListener('click', () => this.togglePanel());
+    this.moreButton?.addEventListener('click', () => this.loadOrders());
+
+    this.listElement.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-order-action]');
+      if (!button) return;
+
+      const order = this.orders.find(candidate => candidate.id === button.dataset.orderId);
+      if (!order) return;
+
+      if (button.dataset.orderAction === 'add-order') {
+        this.loadOrderLines(order)
+          .then(() => this.applyOrderLines(order, order.lines))
+          .catch(() => this.showToast(`Could not load all lines of ${order.name}`, 'error'));
+      } else {
+        const selectedIds = Array.from(this.listElement.querySelectorAll(`input[data-order-line][data-order-id="${order.id}"]:checked`))
+          .map(checkbox => checkbox.value);
+        const selectedLines = order.lines.filter(line => selectedIds.includes(String(line.id)));
+
+        if (selectedLines.length === 0) {
+          this.showToast('Select at least one line to add', 'error');
+          return;
+        }
+        this.applyOrderLines(order, selectedLines);
+      }
+    });
+
+    // Orders come with their first lines; the rest load when the order is opened
+    this.listElement.addEventListener('toggle', (e) => {
+      const details = e.target;
+      if (!details.open || !details.matches('.qo-order')) return;
+
+      const order = this.orders.find(candidate => candidate.id === details.dataset.orderId);
+      if (order?.linesPageInfo?.hasNextPage) {
+        this.loadOrderLines(order).catch(() => this.showToast(`Could not load all lines of ${order.name}`, 'error'));
+      }
+    }, true);
+
+    if (this.reportElement) {
+      this.reportElement.addEventListener('click', (e) => {
+        if (e.target.closest('.qo-bulk-report__close')) {
+          this.reportElement.hidden = true;
+          this.reportElement.innerHTML = '';
+        }
+      });
+    }
+  }
+
+  togglePanel(open = this.panel.hidden) {
+    this.panel.hidden = !open;
+    this.toggleButton.setAttribute('aria-expanded', open ? 'true' : 'false');
+
+    // Orders are fetched the first time the panel opens
+    if (open && !this.hasLoaded) {
+      this.loadOrders();
+    }
+  }
+
+  async loadOrders() {
+    if (this.isBusy) return;
+    this.isBusy = true;
+    if (this.moreButton) this.moreButton.disabled = true;
+
+    try {
+      const params = new URLSearchParams({ customerId: this.customerId, first: 10 });
+      if (this.endCursor) params.set('after', this.endCursor);
+
+      const response = await fetch(`${this.endpoint}?${params.toString()}`, {
+        headers: { 'Accept': 'application/json' }
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
+
+      this.orders = [...this.orders, ...(data.orders || [])];
+      this.endCursor = data.pageInfo?.endCursor || null;
+      this.hasNextPage = Boolean(data.pageInfo?.hasNextPage);
+      this.hasLoaded = true;
+      this.renderOrders();
+      console.log(`📦 Loaded ${this.orders.length} previous orders`);
+    } catch (error) {
+      console.error('❌ Error loading previous orders:', error);
+      this.showToast('Could not load your previous orders', 'error');
+    } finally {
+      this.isBusy = false;
+      if (this.moreButton) {
+        this.moreButton.disabled = false;
+        this.moreButton.hidden = !this.hasNextPage;
+      }
+    }
+  }
+
+  // Load the order's remaining lines and add them to its table. Concurrent calls share one request.
+  loadOrderLines(order) {
+    if (!order.linesPageInfo?.hasNextPage) return Promise.resolve();
+    if (order.linesRequest) return order.linesRequest;
+
+    order.linesRequest = (async () => {
+      try {
+        while (order.linesPageInfo?.hasNextPage) {
+          const params = new URLSearchParams({
+            customerId: this.customerId,
+            orderId: order.id,
+            after: order.linesPageInfo.endCursor
+          });
+          const response = await fetch(`${this.endpoint}?${params.toString()}`, {
+            headers: { 'Accept': 'application/json' }
+          });
+          const data = await response.json();
+
+          if (!response.ok) {
+            throw new Error(data.error || `HTTP ${response.status}`);
+          }
+
+          const lines = data.lines || [];
+          order.lines = [...order.lines, ...lines];
+          order.linesPageInfo = data.pageInfo;
+          this.listElement
+            .querySelector(`.qo-order[data-order-id="${CSS.escape(order.id)}"] .qo-order__lines tbody`)
+            ?.insertAdjacentHTML('beforeend', this.renderOrderLines(order, lines));
+        }
+        console.log(`📦 Loaded all ${order.lines.length} lines of ${order.name}`);
+      } catch (error) {
+        console.error('❌ Error loading order lines:', error);
+        throw error;
+      } finally {
+        order.linesRequest = null;
+      }
+    })();
+
+    return order.linesRequest;
+  }
+
+  formatDate(value) {
+    return new Date(value).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+  }
+
+  formatTotal(total) {
+    if (!total) return '';
+    try {
+      return new Intl.NumberFormat(undefined, { style: 'currency', currency: total.currencyCode }).format(total.amount);
+    } catch (error) {
+      return `${total.amount} ${total.currencyCode}`;
+    }
+  }
+
+  renderOrderLines(order, lines) {
+    const escape = (value) => this.entry.escapeHtml(value);
+    const statusLabels = { available: 'Available', out_of_stock: 'Out of stock', discontinued: 'Discontinued' };
+
+    return lines.map(line => `
+      <tr class="qo-order__line qo-order__line--${line.status}">
+        <td>
+          <input
+            type="checkbox"
+            data-order-line
+            data-order-id="${escape(order.id)}"
+            value="${escape(line.id)}"
+            aria-label="Select ${escape(line.title)}"
+            ${line.status === 'available' ? 'checked' : 'disabled'}>
+        </td>
+        <td>${escape(line.title)}</td>
+        <td>${escape(line.sku)}</td>
+        <td>${escape(line.quantity)}</td>
+        <td><span class="qo-order__line-status">${escape(statusLabels[line.status] || line.status)}</span></td>
+      </tr>
+    `).join('');
+  }
+
+  renderOrders() {
+    const escape = (value) => this.entry.escapeHtml(value);
+
+    if (this.orders.length === 0) {
+      this.listElement.innerHTML = '<p class="qo-previous-orders__empty">You have no previous orders yet.</p>';
+      return;
+    }
+
+    this.listElement.innerHTML = this.orders.map(order => {
+      const itemCount = order.itemCount ?? order.lines.reduce((sum, line) => sum + line.quantity, 0);
+      const linesHtml = this.renderOrderLines(order, order.lines);
+
+      return `
+        <details class="qo-order" data-order-id="${escape(order.id)}">
+          <summary class="qo-order__summary">
+            <span class="qo-order__name">${escape(order.name)}</span>
+            <span class="qo-order__date">${escape(this.formatDate(order.createdAt))}</span>
+            <span class="qo-order__count">${itemCount} ${itemCount === 1 ? 'item' : 'items'}</span>
+            <span class="qo-order__total">${escape(this.formatTotal(order.total))}</span>
+          </summary>
+          <div class="qo-order__body">
+            <div class="qo-bulk-report__table-wrapper">
+              <table class="qo-bulk-report__table qo-order__lines">
+                <thead>
+                  <tr>
+                    <th><span class="visually-hidden">Select</span></th>
+                    <th>Product</th>
+                    <th>SKU</th>
+                    <th>Quantity</th>
+                    <th>Status</th>
+                  </tr>
+                </thead>
+                <tbody>${linesHtml}</tbody>
+              </table>
+            </div>
+            <div class="qo-order__actions">
+              <button type="button" class="qo-clear-btn" data-order-action="add-selected" data-order-id="${escape(order.id)}">Add selected lines</button>
+              <button type="button" class="qo-polaris-button" data-order-action="add-order" data-order-id="${escape(order.id)}">Add whole order</button>
+            </div>
+          </div>
+        </details>
+      `;
+    }).join('');
+  }
+
+  // Set the ordered quantities on the quick order inputs; unavailable lines are skipped and reported
+  async applyOrderLines(order, orderLines) {
+    if (this.isBusy) return;
+    this.isBusy = true;
+
+    try {
+      const availableLines = orderLines.filter(line => line.status === 'available');
+      const entryLines = availableLines.map((line, index) => ({
+        variantId: line.variantId,
+        sku: line.sku,
+        quantity: line.quantity,
+        lineNumbers: [index + 1]
+      }));
+
+      await this.entry.loadMissingVariants(entryLines);
+      const resolvedLines = this.entry.resolveLines(entryLines);
+      await this.entry.applyResolvedLines(resolvedLines);
+
+      const skippedLines = orderLines
+        .filter(line => line.status !== 'available')
+        .map((line, index) => ({
+          variantId: line.variantId,
+          sku: line.sku,
+          label: line.title,
+          quantity: line.quantity,
+          appliedQuantity: 0,
+          lineNumbers: [entryLines.length + index + 1],
+          status: line.status,
+          message: line.status === 'discontinued' ? 'No longer sold' : 'Currently out of stock'
+        }));
+
+      const reportLines = [...resolvedLines, ...skippedLines];
+      this.renderReport(order, reportLines);
+
+      const appliedCount = resolvedLines.filter(line => line.status === 'matched' || line.status === 'capped').length;
+      this.showToast(
+        `${appliedCount} of ${orderLines.length} lines from ${order.name} added`,
+        appliedCount === orderLines.length ? 'success' : 'error'
+      );
+    } catch (error) {
+      console.error('❌ Error reordering from previous order:', error);
+      this.showToast('Could not add the order lines', 'error');
+    } finally {
+      this.isBusy = false;
+    }
+  }
+
+  renderReport(order, resolvedLines) {
+    if (!this.reportElement) return;
+
+    this.reportElement.innerHTML = `
+      <div class="qo-bulk-report__header">
+        <h3 class="qo-bulk-report__title">Reorder results: ${this.entry.escapeHtml(order.name)}</h3>
+        <button type="button" class="qo-bulk-report__close" aria-label="Close reorder results">×</button>
+      </div>
+      ${this.entry.renderLinesTable(resolvedLines, { sourceLabel: '#', statusLabels: { discontinued: 'Discontinued' } })}
+    `;
+    this.reportElement.hidden = false;
+  }
+
+  showToast(message, type) {
+    if (window.persistentCart) {
+      window.persistentCart.showToast(this.entry.escapeHtml(message), type);
+    }
+  }
+}
+
+// Initialize previous orders after bulk order entry is ready
+document.addEventListener('DOMContentLoaded', () => {
+  if (window.bulkOrderEntry) {
+    window.previousOrders = new PreviousOrders(window.bulkOrderEntry);
+  }
+});
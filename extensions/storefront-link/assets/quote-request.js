@@ -0,0 +1,169 @@
+// Request Quote - submit the current quick order quantities as a draft order for negotiated pricing
+class QuoteRequest {
+  constructor() {
+    this.endpoint = '/apps/quick-order/quotes';
+    this.customerId = window.customerId;
+    this.isCustomer = window.customerId !== null && window.customerId !== 'null';
+    this.isSubmitting = false;
+
+    this.openButton = document.getElementById('qo-request-quote-btn');
+    this.dialog = document.getElementById('qo-quote-dialog');
+    this.form = document.getElementById('qo-quote-form');
+    this.summaryElement = document.getElementById('qo-quote-summary');
+    this.poNumberInput = document.getElementById('qo-quote-po-number');
+    this.noteInput = document.getElementById('qo-quote-note');
+    this.cancelButton = document.getElementById('qo-quote-cancel-btn');
+    this.submitButton = document.getElementById('qo-quote-submit-btn');
+    this.confirmationElement = document.getElementById('qo-quote-confirmation');
+
+    this.init();
+  }
+
+  init() {
+    if (!this.openButton || !this.dialog || !this.form) {
+      console.log('Quote request elements not found, skipping quote request initialization');
+      return;
+    }
+
+    if (!this.isCustomer) {
+      this.openButton.hidden = true;
+      return;
+    }
+
+    this.openButton.addEventListener('click', () => this.open());
+    this.cancelButton?.addEventListener('click', () => this.close());
+    this.form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.submit();
+    });
+    this.confirmationElement?.addEventListener('click', (e) => {
+      if (e.target.closest('[data-quote-close]')) {
+        this.close();
+      }
+    });
+  }
+
+  getCurrentQuantities() {
+    return window.persistentCart ? window.persistentCart.getCurrentQuantities() : {};
+  }
+
+  open() {
+    const quantities = this.getCurrentQuantities();
+    const lineCount = Object.keys(quantities).length;
+
+    if (lineCount === 0) {
+      this.showToast('Add quantities to the order before requesting a quote', 'error');
+      return;
+    }
+
+    const unitCount = Object.values(quantities).reduce((sum, quantity) => sum + quantity, 0);
+    if (this.summaryElement) {
+      this.summaryElement.textContent = `${lineCount} ${lineCount === 1 ? 'product' : 'products'}, ${unitCount} ${unitCount === 1 ? 'unit' : 'units'}. We'll review your request and send you pricing.`;
+    }
+
+    // Start from the order details already entered on the quick order form
+    const orderDetails = window.orderDetailsForm ? window.orderDetailsForm.getValues() : {};
+    if (this.poNumberInput && !this.poNumberInput.value && orderDetails.poNumber) {
+      this.poNumberInput.value = orderDetails.poNumber;
+    }
+    if (this.noteInput && !this.noteInput.value && orderDetails.note) {
+      this.noteInput.value = orderDetails.note;
+    }
+
+    this.form.hidden = false;
+    if (this.confirmationElement) {
+      this.confirmationElement.hidden = true;
+      this.confirmationElement.innerHTML = '';
+    }
+    this.dialog.showModal();
+    this.poNumberInput?.focus();
+  }
+
+  close() {
+    this.dialog.close();
+  }
+
+  async submit() {
+    if (this.isSubmitting) return;
+
+    const items = this.getCurrentQuantities();
+    if (Object.keys(items).length === 0) {
+      this.showToast('Add quantities to the order before requesting a quote', 'error');
+      return;
+    }
+
+    this.isSubmitting = true;
+    if (this.submitButton) this.submitButton.disabled = true;
+
+    try {
+      const formData = new FormData();
+      formData.append('customerId', this.customerId);
+      formData.append('items', JSON.stringify(items));
+      formData.append('poNumber', this.poNumberInput?.value.trim() || '');
+      formData.append('note', this.noteInput?.value.trim() || '');
+      if (window.quickOrderCompanyLocationId) {
+        formData.append('locationId', window.quickOrderCompanyLocationId);
+      }
+
+      const response = await fetch(this.endpoint, {
+        method: 'POST',
+        body: formData
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
+
+      console.log('📝 Quote requested:', data.quote);
+      this.showConfirmation(data.quote);
+      this.form.reset();
+    } catch (error) {
+      console.error('❌ Error requesting quote:', error);
+      this.showToast(`Could not submit the quote request: ${error.message}`, 'error');
+    } finally {
+      this.isSubmitting = false;
+      if (this.submitButton) this.submitButton.disabled = false;
+    }
+  }
+
+  showConfirmation(quote) {
+    if (!this.confirmationElement) {
+      this.close();
+      this.showToast(`Quote request ${quote.name} submitted`, 'success');
+      return;
+    }
+
+    this.form.hidden = true;
+    this.confirmationElement.innerHTML = `
+      <h2 class="qo-quote-title">Quote requested</h2>
+      <p>Your reference is</p>
+      <p class="qo-quote-reference">${this.escapeHtml(quote.name)}</p>
+      <p>We'll be in touch with pricing for ${this.escapeHtml(quote.lineCount)} ${quote.lineCount === 1 ? 'product' : 'products'}. Your quick order quantities have been kept.</p>
+      <div class="qo-quote-actions">
+        <button type="button" class="qo-polaris-button" data-quote-close>Done</button>
+      </div>
+    `;
+    this.confirmationElement.hidden = false;
+  }
+
+  escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  showToast(message, type) {
+    if (window.persistentCart) {
+      window.persistentCart.showToast(this.escapeHtml(message), type);
+    }
+  }
+}
+
+// Initialize quote requests when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  window.quoteRequest = new QuoteRequest();
+});
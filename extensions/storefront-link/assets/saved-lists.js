@@ -0,0 +1,299 @@
+// Saved Order Lists - named lists of variant quantities stored in the customer's quick_order metafields
+class SavedOrderLists {
+  constructor(entry) {
+    this.entry = entry;
+    this.endpoint = '/apps/quick-order/saved-lists';
+    this.customerId = window.customerId;
+    this.isCustomer = window.customerId !== null && window.customerId !== 'null';
+    this.lists = [];
+    this.hasLoaded = false;
+    this.isBusy = false;
+
+    this.toggleButton = document.getElementById('qo-saved-lists-toggle');
+    this.panel = document.getElementById('qo-saved-lists-panel');
+    this.select = document.getElementById('qo-saved-list-select');
+    this.nameInput = document.getElementById('qo-saved-list-name');
+    this.nameForm = document.getElementById('qo-saved-list-name-form');
+    this.addButton = document.getElementById('qo-saved-list-add-btn');
+    this.replaceButton = document.getElementById('qo-saved-list-replace-btn');
+    this.updateButton = document.getElementById('qo-saved-list-update-btn');
+    this.renameButton = document.getElementById('qo-saved-list-rename-btn');
+    this.deleteButton = document.getElementById('qo-saved-list-delete-btn');
+    this.reportElement = document.getElementById('qo-saved-list-report');
+
+    this.init();
+  }
+
+  init() {
+    if (!this.toggleButton || !this.panel || !this.select) {
+      console.log('Saved list elements not found, skipping saved lists initialization');
+      return;
+    }
+
+    if (!this.isCustomer) {
+      this.toggleButton.hidden = true;
+      return;
+    }
+
+    this.toggleButton.addEventListener('click', () => this.togglePanel());
+    this.select.addEventListener('change', () => this.updateButtons());
+    this.addButton?.addEventListener('click', () => this.applyList({ replace: false }));
+    this.replaceButton?.addEventListener('click', () => this.applyList({ replace: true }));
+    this.updateButton?.addEventListener('click', () => this.updateList());
+    this.renameButton?.addEventListener('click', () => this.renameList());
+    this.deleteButton?.addEventListener('click', () => this.deleteList());
+    this.nameForm?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.createList();
+    });
+
+    if (this.reportElement) {
+      this.reportElement.addEventListener('click', (e) => {
+        if (e.target.closest('.qo-bulk-report__close')) {
+          this.reportElement.hidden = true;
+          this.reportElement.innerHTML = '';
+        }
+      });
+    }
+
+    this.updateButtons();
+  }
+
+  togglePanel(open = this.panel.hidden) {
+    this.panel.hidden = !open;
+    this.toggleButton.setAttribute('aria-expanded', open ? 'true' : 'false');
+
+    // Lists are fetched the first time the panel opens
+    if (open && !this.hasLoaded) {
+      this.loadLists();
+    }
+  }
+
+  async loadLists() {
+    try {
+      const response = await fetch(`${this.endpoint}?customerId=${this.customerId}`, {
+        headers: { 'Accept': 'application/json' }
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
+
+      this.lists = data.lists || [];
+      this.hasLoaded = true;
+      this.renderOptions();
+      console.log(`📋 Loaded ${this.lists.length} saved lists`);
+    } catch (error) {
+      console.error('❌ Error loading saved lists:', error);
+      this.showToast('Could not load your saved lists', 'error');
+    }
+  }
+
+  // POST one create/rename/update/delete action; the response carries the full updated lists
+  async sendAction(intent, fields = {}) {
+    const formData = new FormData();
+    formData.append('customerId', this.customerId);
+    formData.append('intent', intent);
+    Object.entries(fields).forEach(([key, value]) => {
+      formData.append(key, typeof value === 'string' ? value : JSON.stringify(value));
+    });
+
+    const response = await fetch(this.endpoint, {
+      method: 'POST',
+      body: formData
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || `HTTP ${response.status}`);
+    }
+
+    this.lists = data.lists || [];
+    return data;
+  }
+
+  // Run an action with the panel locked, reporting failures as a toast
+  async runAction(action, errorMessage) {
+    if (this.isBusy) return;
+
+    this.isBusy = true;
+    this.updateButtons();
+    try {
+      await action();
+    } catch (error) {
+      console.error(`❌ ${errorMessage}:`, error);
+      this.showToast(`${errorMessage}: ${error.message}`, 'error');
+    } finally {
+      this.isBusy = false;
+      this.updateButtons();
+    }
+  }
+
+  getSelectedList() {
+    return this.lists.find(list => list.id === this.select.value) || null;
+  }
+
+  getCurrentQuantities() {
+    return window.persistentCart ? window.persistentCart.getCurrentQuantities() : {};
+  }
+
+  renderOptions(selectedId = this.select.value) {
+    const escape = (value) => this.entry.escapeHtml(value);
+
+    this.select.innerHTML = this.lists.length === 0
+      ? '<option value="">No saved lists yet</option>'
+      : this.lists.map(list => {
+          const itemCount = Object.keys(list.items || {}).length;
+          return `<option value="${escape(list.id)}">${escape(list.name)} (${itemCount} ${itemCount === 1 ? 'item' : 'items'})</option>`;
+        }).join('');
+
+    if (this.lists.some(list => list.id === selectedId)) {
+      this.select.value = selectedId;
+    }
+    this.updateButtons();
+  }
+
+  updateButtons() {
+    const hasSelection = Boolean(this.getSelectedList());
+    [this.addButton, this.replaceButton, this.updateButton, this.renameButton, this.deleteButton]
+      .filter(Boolean)
+      .forEach(button => {
+        button.disabled = this.isBusy || !hasSelection;
+      });
+  }
+
+  async createList() {
+    const name = this.nameInput?.value.trim();
+    const items = this.getCurrentQuantities();
+
+    if (!name) {
+      this.showToast('Enter a name for the new list', 'error');
+      this.nameInput?.focus();
+      return;
+    }
+    if (Object.keys(items).length === 0) {
+      this.showToast('Add quantities to the order before saving a list', 'error');
+      return;
+    }
+
+    await this.runAction(async () => {
+      const data = await this.sendAction('create', { name, items });
+      this.renderOptions(data.list.id);
+      this.nameInput.value = '';
+      this.showToast(`Saved "${data.list.name}" with ${Object.keys(data.list.items).length} items`, 'success');
+    }, 'Could not save the list');
+  }
+
+  async renameList() {
+    const list = this.getSelectedList();
+    const name = this.nameInput?.value.trim();
+    if (!list) return;
+
+    if (!name) {
+      this.showToast('Type the new name in the list name field', 'error');
+      this.nameInput?.focus();
+      return;
+    }
+
+    await this.runAction(async () => {
+      const data = await this.sendAction('rename', { listId: list.id, name });
+      this.renderOptions(list.id);
+      this.nameInput.value = '';
+      this.showToast(`Renamed to "${data.list.name}"`, 'success');
+    }, 'Could not rename the list');
+  }
+
+  // Overwrite the selected list with the quantities currently in the order
+  async updateList() {
+    const list = this.getSelectedList();
+    const items = this.getCurrentQuantities();
+    if (!list) return;
+
+    if (Object.keys(items).length === 0) {
+      this.showToast('Add quantities to the order before updating a list', 'error');
+      return;
+    }
+
+    await this.runAction(async () => {
+      await this.sendAction('update', { listId: list.id, items });
+      this.renderOptions(list.id);
+      this.showToast(`Updated "${list.name}" with the current quantities`, 'success');
+    }, 'Could not update the list');
+  }
+
+  async deleteList() {
+    const list = this.getSelectedList();
+    if (!list || !window.confirm(`Delete the saved list "${list.name}"?`)) return;
+
+    await this.runAction(async () => {
+      await this.sendAction('delete', { listId: list.id });
+      this.renderOptions();
+      this.showToast(`Deleted "${list.name}"`, 'success');
+    }, 'Could not delete the list');
+  }
+
+  // Load a list into the quick order inputs, adding to or replacing the current quantities
+  async applyList({ replace }) {
+    const list = this.getSelectedList();
+    if (!list) return;
+
+    await this.runAction(async () => {
+      const current = this.getCurrentQuantities();
+      const lines = Object.entries(list.items || {}).map(([variantId, quantity], index) => ({
+        variantId,
+        sku: '',
+        quantity: replace ? quantity : quantity + (current[variantId] || 0),
+        lineNumbers: [index + 1]
+      }));
+
+      // Replacing clears everything that is not on the list
+      if (replace) {
+        Object.keys(current)
+          .filter(variantId => !(variantId in list.items))
+          .forEach(variantId => {
+            lines.push({ variantId, sku: '', quantity: 0, lineNumbers: [lines.length + 1] });
+          });
+      }
+
+      await this.entry.loadMissingVariants(lines);
+      const resolvedLines = this.entry.resolveLines(lines);
+      await this.entry.applyResolvedLines(resolvedLines);
+      this.renderReport(list.name, resolvedLines, replace);
+
+      const failedCount = resolvedLines.filter(line => line.status !== 'matched' && line.status !== 'capped').length;
+      this.showToast(
+        failedCount === 0
+          ? `"${list.name}" ${replace ? 'replaced the order' : 'was added to the order'}`
+          : `"${list.name}" applied, ${failedCount} ${failedCount === 1 ? 'line needs' : 'lines need'} attention`,
+        failedCount === 0 ? 'success' : 'error'
+      );
+    }, 'Could not apply the list');
+  }
+
+  renderReport(listName, resolvedLines, replace) {
+    if (!this.reportElement) return;
+
+    this.reportElement.innerHTML = `
+      <div class="qo-bulk-report__header">
+        <h3 class="qo-bulk-report__title">${replace ? 'Replaced with' : 'Added from'}: ${this.entry.escapeHtml(listName)}</h3>
+        <button type="button" class="qo-bulk-report__close" aria-label="Close saved list results">×</button>
+      </div>
+      ${this.entry.renderLinesTable(resolvedLines, { sourceLabel: '#' })}
+    `;
+    this.reportElement.hidden = false;
+  }
+
+  showToast(message, type) {
+    if (window.persistentCart) {
+      window.persistentCart.showToast(this.entry.escapeHtml(message), type);
+    }
+  }
+}
+
+// Initialize saved lists after bulk order entry is ready
+document.addEventListener('DOMContentLoaded', () => {
+  if (window.bulkOrderEntry) {
+    window.savedOrderLists = new SavedOrderLists(window.bulkOrderEntry);
+  }
+});
@@ -0,0 +1,72 @@
+// Wholesale Application - submit the account application form through the app proxy
+class WholesaleApplication {
+  constructor() {
+    this.endpoint = '/apps/quick-order/applications';
+    this.isSubmitting = false;
+
+    this.form = document.getElementById('qo-wholesale-application');
+    this.submitButton = document.getElementById('qo-application-submit');
+    this.errorElement = document.getElementById('qo-application-error');
+    this.successElement = document.getElementById('qo-application-success');
+
+    this.init();
+  }
+
+  init() {
+    if (!this.form) {
+      console.log('Wholesale application form not found, skipping application initialization');
+      return;
+    }
+
+    this.form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.submit();
+    });
+  }
+
+  async submit() {
+    if (this.isSubmitting) return;
+
+    if (!this.form.checkValidity()) {
+      this.form.reportValidity();
+      return;
+    }
+
+    this.isSubmitting = true;
+    this.setError('');
+    if (this.submitButton) this.submitButton.disabled = true;
+
+    try {
+      const response = await fetch(this.endpoint, {
+        method: 'POST',
+        body: new FormData(this.form)
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
+
+      console.log('🏢 Wholesale application submitted:', data.application);
+      this.form.hidden = true;
+      if (this.successElement) this.successElement.hidden = false;
+    } catch (error) {
+      console.error('❌ Error submitting wholesale application:', error);
+      this.setError(`Your application could not be submitted: ${error.message}`);
+    } finally {
+      this.isSubmitting = false;
+      if (this.submitButton) this.submitButton.disabled = false;
+    }
+  }
+
+  setError(message) {
+    if (!this.errorElement) return;
+    this.errorElement.textContent = message;
+    this.errorElement.hidden = !message;
+  }
+}
+
+// Initialize the application form when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  window.wholesaleApplication = new WholesaleApplication();
+});
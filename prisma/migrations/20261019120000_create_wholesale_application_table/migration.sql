@@ -0,0 +1,31 @@
+-- CreateTable
+CREATE TABLE "WholesaleApplication" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "companyName" TEXT NOT NULL,
+    "taxId" TEXT,
+    "firstName" TEXT NOT NULL,
+    "lastName" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "phone" TEXT,
+    "address1" TEXT NOT NULL,
+    "address2" TEXT,
+    "city" TEXT NOT NULL,
+    "province" TEXT,
+    "zip" TEXT NOT NULL,
+    "countryCode" TEXT NOT NULL,
+    "message" TEXT,
+    "customerId" TEXT,
+    "companyId" TEXT,
+    "reviewNote" TEXT,
+    "reviewedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE INDEX "WholesaleApplication_shop_status_idx" ON "WholesaleApplication"("shop", "status");
+
+-- CreateIndex
+CREATE INDEX "WholesaleApplication_shop_email_idx" ON "WholesaleApplication"("shop", "email");
@@ -0,0 +1,14 @@
+-- CreateTable
+CREATE TABLE "SavedCart" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "quantities" TEXT NOT NULL,
+    "orderDetails" TEXT,
+    "version" INTEGER NOT NULL DEFAULT 1,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SavedCart_shop_customerId_key" ON "SavedCart"("shop", "customerId");
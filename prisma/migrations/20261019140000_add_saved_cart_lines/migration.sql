@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "SavedCart" ADD COLUMN "lines" TEXT NOT NULL DEFAULT '{}';
@@ -0,0 +1,8 @@
+-- DropIndex
+DROP INDEX "SavedCart_shop_customerId_key";
+
+-- AlterTable
+ALTER TABLE "SavedCart" ADD COLUMN "name" TEXT NOT NULL DEFAULT 'My cart';
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SavedCart_shop_customerId_name_key" ON "SavedCart"("shop", "customerId", "name");
@@ -0,0 +1,23 @@
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_SavedCart" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "customerId" TEXT,
+    "companyLocationId" TEXT,
+    "name" TEXT NOT NULL DEFAULT 'My cart',
+    "quantities" TEXT NOT NULL,
+    "lines" TEXT NOT NULL DEFAULT '{}',
+    "orderDetails" TEXT,
+    "version" INTEGER NOT NULL DEFAULT 1,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+INSERT INTO "new_SavedCart" ("id", "shop", "customerId", "name", "quantities", "lines", "orderDetails", "version", "createdAt", "updatedAt") SELECT "id", "shop", "customerId", "name", "quantities", "lines", "orderDetails", "version", "createdAt", "updatedAt" FROM "SavedCart";
+DROP TABLE "SavedCart";
+ALTER TABLE "new_SavedCart" RENAME TO "SavedCart";
+CREATE UNIQUE INDEX "SavedCart_shop_customerId_name_key" ON "SavedCart"("shop", "customerId", "name");
+CREATE UNIQUE INDEX "SavedCart_shop_companyLocationId_key" ON "SavedCart"("shop", "companyLocationId");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;